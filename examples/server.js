@@ -43,6 +43,14 @@ var layerClient = new LayerClient({
   appId: process.env.LAYER_APP_ID
 });
 
+/**
+ * Registration failures are logged; the server continues to run so that any
+ * webhooks that are already registered are still handled.
+ */
+function logRegistrationError(err) {
+  console.error(new Date().toLocaleString() + ': ' + err.message);
+}
+
 /**
  * Example shows quick and simple setup of a webhooks service.
  * This example shows a single inline service that logs new messages.
@@ -60,7 +68,7 @@ function startInlineServices() {
     secret: SECRET,
     url: HOST + ':' + PORT,
     hooks: [hook]
-  });
+  }).catch(logRegistrationError);
 
   // Listen for events from Layer's Services, and call our callbackAsync with each event
   webhooksServices.listen({
@@ -92,7 +100,7 @@ function startBasicServices() {
     secret: SECRET,
     url: HOST + ':' + PORT,
     hooks: hooks
-  });
+  }).catch(logRegistrationError);
 
   // Listen for events from Layer's Services
   webhooksServices.listen({
@@ -114,7 +122,7 @@ function startReceiptServices() {
     secret: SECRET,
     url: HOST + ':' + PORT,
     hooks: hooks
-  });
+  }).catch(logRegistrationError);
 
   // Listen for events from Layer's Services
   webhooksServices.receipts({
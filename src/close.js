@@ -0,0 +1,63 @@
+/**
+ * Stop the WebhooksServices so that the process can exit without losing work:
+ *
+ *     process.on('SIGTERM', function() {
+ *       lws.close('30s').then(function() {
+ *         process.exit(0);
+ *       });
+ *     });
+ *
+ * Webhook requests received from now on are answered with a 503 so that Layer retries them later (hopefully
+ * against a server that is still running).  Active jobs are given until the timeout to finish, and then the
+ * queues are shut down.  Calling close() again returns the same Promise.
+ *
+ * Queues whose adapter has no `shutdown` method are left running.
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
+ * @param {String|Number} [timeout='30s'] - How long to wait for active jobs.  If number, ms to wait. If string, see https://www.npmjs.com/package/ms
+ * @param {Function} [callback] - Called with `callback(err)` once the queues have shut down
+ * @returns {Promise} - Resolves once the queues have shut down
+ */
+var getDuration = require('./duration');
+var Logger = require('./logger');
+
+module.exports = function(services, timeout, callback) {
+  if (typeof timeout === 'function') {
+    callback = timeout;
+    timeout = null;
+  }
+  var logger = services.logger || new Logger();
+  if (!services.closing) {
+    timeout = getDuration(timeout || '30s');
+    logger.info('Closing; waiting up to ' + timeout + 'ms for active jobs');
+    services.closing = Promise.all([services.queue, services.handlerQueue].map(function(queue) {
+      return shutdown(queue, timeout);
+    })).then(function() {
+      logger.info('Closed');
+    });
+  }
+
+  if (callback) {
+    services.closing.then(function() {
+      callback(null);
+    }, callback);
+  }
+  return services.closing;
+};
+
+/**
+ * Shut down a queue as a Promise.
+ *
+ * @param {Queue} queue
+ * @param {Number} timeout
+ * @returns {Promise}
+ */
+function shutdown(queue, timeout) {
+  return new Promise(function(resolve, reject) {
+    if (!queue.shutdown) return resolve();
+    queue.shutdown(timeout, function(err) {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
@@ -0,0 +1,51 @@
+/**
+ * Move jobs that have failed all of their attempts into a dead-letter job type so that they can
+ * be inspected and replayed.  Jobs of type `type` that fail permanently result in a job of type
+ * `<type>:dead` whose data contains:
+ *
+ *     {
+ *       title: 'Message Read Monitor:dead',
+ *       payload: {...},          // The data of the failed job
+ *       error: 'Error message',  // The error from the last attempt
+ *       failedAt: 1458339937000, // Time at which the job failed
+ *       jobId: 12                // ID of the failed job
+ *     }
+ *
+ * Does nothing if the queue adapter does not support `onFailed`.
+ *
+ * @param {Queue} queue - The queue adapter
+ * @param {String} type - The job type to monitor; typically the name of a hook
+ * @param {Logger} [logger] - Logger for the hook
+ */
+var Logger = require('./logger');
+var DEAD_LETTER_SUFFIX = ':dead';
+
+module.exports = function(queue, type, logger) {
+  logger = logger || new Logger();
+  if (!queue.onFailed) return logger.warn('Queue does not support onFailed; failed jobs will not be dead-lettered', {jobType: type});
+
+  queue.onFailed(type, function(job, error) {
+    var deadType = module.exports.getType(type);
+    var jobLogger = logger.child(Logger.getJobFields(job));
+    jobLogger.warn('Job failed: moving to ' + deadType, {err: error});
+    queue.createJob(deadType, {
+      title: deadType,
+      payload: job.data,
+      error: error && error.message ? error.message : String(error),
+      failedAt: Date.now(),
+      jobId: job.id
+    }).save(function(err) {
+      if (err) jobLogger.error('Unable to create dead-letter job', {err: err});
+    });
+  });
+};
+
+/**
+ * Get the dead-letter job type for a job type.
+ *
+ * @param {String} type
+ * @returns {String}
+ */
+module.exports.getType = function(type) {
+  return type + DEAD_LETTER_SUFFIX;
+};
@@ -0,0 +1,22 @@
+/**
+ * Record the IDs of webhook events as they are received so that Layer's retries of an
+ * event we have already accepted do not create a second job.
+ *
+ *     dedupe(redis, 'Message Read Monitor', req.body.event.id, ms('1h'), function(err, isDuplicate) {
+ *       if (!isDuplicate) createJob();
+ *     });
+ *
+ * @param {Redis} redis - Redis client used to store the event IDs
+ * @param {String} hookName - Name of the hook; event IDs are tracked separately for each hook
+ * @param {String} eventId - The `event.id` of the webhook request
+ * @param {Number} ttl - Number of milliseconds to remember the event ID for
+ * @param {Function} callback - Called with `callback(err, isDuplicate)`
+ */
+var REDIS_PREFIX = 'layer-webhooks-dedupe-';
+
+module.exports = function(redis, hookName, eventId, ttl, callback) {
+  // SET NX only succeeds if the key does not yet exist; any other reply means we've seen this event
+  redis.set(REDIS_PREFIX + hookName + '-' + eventId, String(Date.now()), 'PX', ttl, 'NX', function(err, reply) {
+    callback(err, !err && reply !== 'OK');
+  });
+};
@@ -0,0 +1,18 @@
+/**
+ * Get a duration in milliseconds from a number of milliseconds or a string such as '1h'; options that take
+ * a duration accept either.  See https://www.npmjs.com/package/ms for the strings that can be used.
+ *
+ *     getDuration('10 minutes'); // 600000
+ *     getDuration(options.timeout, '10s'); // 10000 if there is no options.timeout
+ *
+ * @param {String|Number} [value]
+ * @param {String|Number} [defaultValue] - Used if `value` is undefined
+ * @returns {Number} - 0 if neither a value nor a default was provided
+ */
+var ms = require('ms');
+
+module.exports = function(value, defaultValue) {
+  if (value === undefined) value = defaultValue;
+  if (!value) return 0;
+  return typeof value === 'string' ? ms(value) : value;
+};
@@ -0,0 +1,107 @@
+/**
+ * Create a predicate for the `filter` option of a hook definition; events that do not
+ * match the filter do not create jobs.
+ *
+ * The filter can be a function that is called with the event data and returns true for events
+ * to keep, or an object describing which events to keep.  All of the properties in the object must
+ * match for an event to be kept:
+ *
+ *     filter: {
+ *       // Conversation events whose metadata matches; values may be a string, an array of strings,
+ *       // a RegExp, or true to match any value.  Use '.' to match nested metadata.
+ *       metadata: {'status.priority': ['high', 'urgent']},
+ *
+ *       // Messages with at least one part of one of these mime types
+ *       mimeTypes: ['text/plain'],
+ *
+ *       // Messages with a text/plain part matching this RegExp
+ *       text: /\bdie \d+\b/i,
+ *
+ *       // Messages sent by any of these user IDs or Platform API sender names
+ *       sender: ['frodo', 'Billing'],
+ *
+ *       // Events for Conversations or Messages that include any of these user IDs
+ *       participants: ['frodo', 'sam']
+ *     }
+ *
+ * @param {Function|Object} filter - The `filter` option of the hook definition
+ * @returns {Function} - Called with the event data, returns true if the event should be kept
+ */
+module.exports = function(filter) {
+  if (typeof filter === 'function') return filter;
+
+  var tests = [];
+  if (filter.metadata) tests.push(matchMetadata.bind(null, filter.metadata));
+  if (filter.mimeTypes) tests.push(matchMimeTypes.bind(null, filter.mimeTypes));
+  if (filter.text) tests.push(matchText.bind(null, filter.text instanceof RegExp ? filter.text : new RegExp(filter.text)));
+  if (filter.sender) tests.push(matchSender.bind(null, filter.sender));
+  if (filter.participants) tests.push(matchParticipants.bind(null, filter.participants));
+
+  return function(data) {
+    return tests.every(function(test) {
+      return test(data);
+    });
+  };
+};
+
+function matchMetadata(expected, data) {
+  var metadata = data.conversation && data.conversation.metadata;
+  if (!metadata) return false;
+  return Object.keys(expected).every(function(path) {
+    var value = path.split('.').reduce(function(obj, key) {
+      return obj && typeof obj === 'object' ? obj[key] : undefined;
+    }, metadata);
+    return matchValue(expected[path], value);
+  });
+}
+
+function matchValue(expected, value) {
+  if (value === undefined) return false;
+  if (expected === true) return true;
+  if (expected instanceof RegExp) return testRegExp(expected, value);
+  if (Array.isArray(expected)) return expected.indexOf(value) !== -1;
+  return expected === value;
+}
+
+function matchMimeTypes(mimeTypes, data) {
+  return getParts(data).some(function(part) {
+    return mimeTypes.indexOf(part.mime_type) !== -1;
+  });
+}
+
+function matchText(regex, data) {
+  return getParts(data).some(function(part) {
+    return part.mime_type === 'text/plain' && testRegExp(regex, part.body);
+  });
+}
+
+function matchSender(senders, data) {
+  var sender = data.message && data.message.sender;
+  if (!sender) return false;
+  return senders.indexOf(sender.user_id) !== -1 || senders.indexOf(sender.name) !== -1;
+}
+
+function matchParticipants(userIds, data) {
+  var participants = [];
+  if (data.conversation && data.conversation.participants) {
+    participants = data.conversation.participants;
+  } else if (data.message && data.message.recipient_status) {
+    participants = Object.keys(data.message.recipient_status);
+  }
+  return participants.some(function(userId) {
+    return userIds.indexOf(userId) !== -1;
+  });
+}
+
+/**
+ * Test a value against a RegExp from the start of the value; a RegExp with the `g` or `y` flag
+ * would otherwise continue from the end of its last match.
+ */
+function testRegExp(regex, value) {
+  regex.lastIndex = 0;
+  return regex.test(value);
+}
+
+function getParts(data) {
+  return (data.message && data.message.parts) || [];
+}
@@ -0,0 +1,430 @@
+/**
+ * Create a request handler for your webhooks that does not depend upon any web framework.  The options are the same
+ * as for listen() (see listen.js for a description of the hook definitions) except that no `expressApp` is needed.
+ * listen(), httpHandler() and koaMiddleware() are adapters that use this handler.
+ *
+ *     var handle = layerWebhooks.createHandler({
+ *        secret: 'Frodo is a Dodo',
+ *        hooks: [{
+ *          name: 'Message Read Monitor',
+ *          path: '/message-read-monitor'
+ *        }]
+ *     });
+ *
+ *     handle('POST', '/message-read-monitor', {}, headers, rawBody).then(function(response) {
+ *       sendResponse(response.status, response.body);
+ *     });
+ *
+ * The handler returns a Promise that resolves with `{status, body, type}`, where `body` is a string of content `type`.
+ * Requests for a path that is not one of the hook paths resolve with a 404; use `handle.paths` to find
+ * the paths that the handler responds to.  Once the WebhooksServices are closed, requests resolve with a 503.
+ *
+ * If the `health` option is set, GET requests to `/health` (or to the path provided as the `health` option)
+ * resolve with a JSON report on the state of the hooks; see health.js.  Similarly, the `metrics` option serves the
+ * metrics of the WebhooksServices at `/metrics` in the Prometheus text format; see metrics.js.
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
+ * @param {Object} options - See listen.js
+ * @returns {Function} - Called with `handle(method, path, query, headers, rawBody)`:
+ *                       `query` is an object of query string parameters, `headers` an object with lower case header names,
+ *                       and `rawBody` the request body as a Buffer or string.
+ */
+var getDuration = require('./duration');
+var http = require('http');
+var dedupe = require('./dedupe');
+var createFilter = require('./filter');
+var createSenderPolicy = require('./sender-policy');
+var verifySignature = require('./signature');
+var deadLetter = require('./dead-letter');
+var createHealthCheck = require('./health');
+var Metrics = require('./metrics');
+var Logger = require('./logger');
+
+module.exports = function(services, options) {
+  var queue = services.queue;
+  var redis = services.redis;
+  var metrics = services.metrics || new Metrics();
+  var logger = services.logger || new Logger();
+  var secrets = [].concat(options.secret);
+  var allowUnsignedEventIds = options.allowUnsignedEventIds || [];
+  var unsignedCount = 0;
+  var hooks = options.hooks;
+  var endpoints = {};
+  var hookStatuses = [];
+  var healthPath = getOptionalPath(options.health, '/health');
+  var metricsPath = getOptionalPath(options.metrics, '/metrics');
+  var trackJobs = Boolean(metricsPath || services.jobMetrics);
+
+  /**
+   * Setup each hook definition so that we respond to validation
+   * and events.
+   */
+  hooks.forEach(function(hookDef) {
+    var webhookName = hookDef.name;
+    var hookStatus = {
+      name: hookDef.originalName || webhookName, // Receipts hooks are registered with the name of the original hook
+      jobs: [],
+      lastEventAt: null
+    };
+    hookStatuses.push(hookStatus);
+    var hookLogger = logger.child({hook: webhookName});
+    var path = normalizePath(hookDef.path);
+    var delay = getDuration(hookDef.delay);
+    var dedupeTTL = getDuration(hookDef.dedupe);
+    if (dedupeTTL && !redis) throw new Error(webhookName + ': The dedupe option requires a redis client in the WebhooksServices config');
+    var attempts = hookDef.attempts || 10;
+    var backoff = hookDef.backoff || {
+      type: 'exponential',
+      delay: 10000
+    };
+    var timeout = getDuration(hookDef.timeout);
+
+    // Used by replay() to find the hook's jobs, and to retry replayed jobs as the hook does
+    if (services.hookJobs) {
+      services.hookJobs[webhookName] = {
+        jobs: hookStatus.jobs,
+        attempts: attempts,
+        backoff: backoff,
+        timeout: timeout
+      };
+    }
+    var routes = getRoutes();
+    var filter = hookDef.filter ? createFilter(hookDef.filter) : null;
+    var filteredCount = 0;
+    var isSenderAllowed = createSenderPolicy(hookDef.senderPolicy, function(conversationId, count) {
+      hookLogger.warn('Possible bot loop: ' + count + ' Platform API messages received; ignoring message', {conversationId: conversationId});
+    });
+
+    endpoints[path] = {
+      GET: handleVerification,
+      POST: handleEvent
+    };
+
+    /**
+     * Respond to verifcation requests. These requests are sent by Layer Services when
+     * first registering a webhook... or when activating a disabled webhook.
+     */
+    function handleVerification(query) {
+      hookLogger.info('Received Verification Challenge');
+      if (query.verification_challenge) {
+        return respond(200, String(query.verification_challenge));
+      }
+      return respond(200);
+    }
+
+    /**
+     * Respond to webhook events with 200 once they are validated.
+     */
+    function handleEvent(query, headers, rawBody) {
+      var body;
+      try {
+        body = JSON.parse(String(rawBody));
+      } catch (e) {
+        hookLogger.warn('Unable to parse webhook body', {err: e});
+        return respond(400);
+      }
+      if (!body || typeof body !== 'object') return respond(400);
+      var data = body.event ? getEventData(body) : {};
+      var eventLogger = hookLogger.child(Logger.getEventFields(data));
+      if (!isValid(headers, rawBody, body, eventLogger)) return respond(403);
+      if (!body.event) return respond(400);
+      eventLogger.debug('Received webhook');
+      hookStatus.lastEventAt = Date.now();
+      metrics.inc('received_total', {hook: webhookName, event_type: body.event.type});
+
+      var route = getRoute(body.event.type, eventLogger);
+
+      // Only respond to conversation events or to messages whose sender is allowed by the senderPolicy;
+      // by default messages sent via Platform API are ignored as responding to bots could create an infinite bot loop
+      if (route && isFromAllowedSender(body.message, eventLogger) && isAccepted(data, eventLogger)) {
+        isDuplicate(body.event, eventLogger, function(duplicate) {
+          if (duplicate) {
+            eventLogger.debug('Ignoring repeated delivery of event');
+            metrics.inc('deduped_total', {hook: webhookName});
+          } else {
+            createJob(route, data, eventLogger);
+          }
+        });
+      }
+
+      // Repeated deliveries still get a 200 so that Layer stops retrying them
+      return respond(200);
+    }
+
+    /**
+     * Determine the job name and queue used for each event type.  Without an `on` map,
+     * all events use a job named after the hook.
+     *
+     * @returns {Object} - Routes indexed by event type; '*' is used for any event type
+     */
+    function getRoutes() {
+      var routes = {};
+      var routeDefs = getRouteDefs(hookDef);
+      Object.keys(routeDefs).forEach(function(eventType) {
+        routes[eventType] = createRoute(routeDefs[eventType].name, routeDefs[eventType].handler);
+      });
+      return routes;
+    }
+
+    /**
+     * Setup a route.  Jobs for routes with a handler are processed from an in-process queue
+     * rather than the shared queue.
+     *
+     * @param {String} jobName - Name of the jobs to create for this route
+     * @param {Function} [handler] - Handler to call with each job's data
+     */
+    function createRoute(jobName, handler) {
+      var route = {
+        name: jobName,
+        queue: handler ? services.handlerQueue : queue
+      };
+      hookStatus.jobs.push({type: jobName, queue: route.queue});
+      if (trackJobs) metrics.trackJobs(route.queue, jobName);
+      if (hookDef.deadLetter !== false) deadLetter(route.queue, jobName, hookLogger);
+      if (handler) {
+        route.queue.process(jobName, hookDef.concurrency || 1, function(job, done) {
+          var jobLogger = hookLogger.child(Logger.getJobFields(job));
+          jobLogger.debug('Running handler');
+          Promise.resolve(job.data).then(handler).then(function() {
+            done();
+          }, function(err) {
+            jobLogger.warn('Handler failed', {err: err});
+            done(err || new Error('Handler rejected'));
+          });
+        });
+      }
+      return route;
+    }
+
+    function getRoute(eventType, eventLogger) {
+      var route = routes[eventType] || routes['*'];
+      if (!route) eventLogger.debug('No route for event type; ignoring event');
+      return route;
+    }
+
+    function isFromAllowedSender(message, eventLogger) {
+      if (isSenderAllowed(message)) return true;
+      eventLogger.debug('Ignoring message from ' + message.sender.name);
+      metrics.inc('filtered_total', {hook: webhookName, reason: 'sender'});
+      return false;
+    }
+
+    /**
+     * Determine whether the event passes the hook's filter.  If the filter throws an error,
+     * the event is kept.
+     *
+     * @param {Object} data - Event data generated by getEventData()
+     * @param {Logger} eventLogger
+     */
+    function isAccepted(data, eventLogger) {
+      if (!filter) return true;
+      var accepted;
+      try {
+        accepted = filter(data);
+      } catch (e) {
+        eventLogger.error('Filter failed', {err: e});
+        return true;
+      }
+      if (!accepted) {
+        filteredCount++;
+        metrics.inc('filtered_total', {hook: webhookName, reason: 'filter'});
+        eventLogger.debug('Filtered out event; ' + filteredCount + ' events filtered out so far');
+      }
+      return Boolean(accepted);
+    }
+
+    /**
+     * Determine whether this event was already received by this hook.  If the hook does not
+     * use the `dedupe` option, every event is treated as new.  If Redis can't be reached,
+     * the event is treated as new; a duplicate job is better than a lost one.
+     */
+    function isDuplicate(event, eventLogger, callback) {
+      if (!dedupeTTL || !event || !event.id) return callback(false);
+      dedupe(redis, webhookName, event.id, dedupeTTL, function(err, duplicate) {
+        if (err) eventLogger.error('Unable to check for duplicate event', {err: err});
+        callback(duplicate);
+      });
+    }
+
+    /**
+     * Create the job for a webhook event.
+     *
+     * @param {Object} route - Route generated by createRoute()
+     * @param {Object} data - Event data generated by getEventData()
+     * @param {Logger} eventLogger
+     */
+    function createJob(route, data, eventLogger) {
+      var job = route.queue.createJob(route.name, {
+        title: route.name,
+        eventId: data.eventId,
+        timestamp: data.timestamp,
+        type: data.type,
+        conversation: data.conversation,
+        message: data.message
+      }).delay(delay).attempts(attempts).backoff(backoff);
+      if (timeout) job.ttl(timeout);
+      job.save( function(err){
+         if( err ) {
+          eventLogger.error('Unable to create job', {err: err});
+        } else {
+          eventLogger.debug('Created job', {jobId: job.id, jobType: route.name});
+          metrics.inc('jobs_created_total', {job_type: route.name});
+        }
+      });
+    }
+
+    /**
+     * Validate that the request comes from Layer services by comparing the secret
+     * provided when registering the webhook with the 'layer-webhook-signature' header.
+     */
+    function isValid(headers, rawBody, body, eventLogger) {
+      var eventId = body.event ? body.event.id : null;
+      var signature = headers['layer-webhook-signature'];
+
+      if (verifySignature(rawBody, secrets, signature)) {
+        return true;
+      } else if (eventId && allowUnsignedEventIds.indexOf(eventId) !== -1) {
+        acceptUnsigned('event ' + eventId + ' is in allowUnsignedEventIds');
+        return true;
+      } else if (!signature && options.allowUnsigned) {
+        acceptUnsigned('allowUnsigned is enabled');
+        return true;
+      } else {
+        eventLogger.warn('HMAC Signature did not match any of the secrets. Returning Error.', {signature: signature, config: body.config || {}});
+        metrics.inc('signature_failures_total', {hook: webhookName});
+        return false;
+      }
+
+      function acceptUnsigned(reason) {
+        unsignedCount++;
+        metrics.inc('unsigned_accepted_total', {hook: webhookName});
+        eventLogger.warn('Accepting webhook without a valid signature because ' + reason + '; ' + unsignedCount + ' accepted so far');
+      }
+    }
+  });
+
+  if (healthPath) {
+    var checkHealth = createHealthCheck(services, hookStatuses);
+    endpoints[healthPath] = {
+      whileClosing: true, // Reports that we are closing
+      GET: function() {
+        return checkHealth().then(function(report) {
+          return respond(report.status === 'ok' ? 200 : 503, JSON.stringify(report), 'application/json');
+        });
+      }
+    };
+  }
+
+  if (metricsPath) {
+    endpoints[metricsPath] = {
+      whileClosing: true,
+      GET: function() {
+        return respond(200, metrics.format(), Metrics.CONTENT_TYPE);
+      }
+    };
+  }
+
+  function handle(method, path, query, headers, rawBody) {
+    path = normalizePath(path);
+    var endpoint = endpoints[path];
+    if (!endpoint) return Promise.resolve(respond(404));
+
+    // Once close() is called, Layer is asked to retry events later
+    if (services.closing && !endpoint.whileClosing) return Promise.resolve(respond(503));
+    if (!endpoint[method]) return Promise.resolve(respond(405));
+    return Promise.resolve(endpoint[method](query || {}, headers || {}, rawBody || ''));
+  }
+
+  handle.paths = Object.keys(endpoints);
+  return handle;
+};
+
+/**
+ * Get the job name and handler for each event type of a hook definition.
+ *
+ * @param {Object} hookDef
+ * @returns {Object} - `{name, handler}` indexed by event type; '*' is used for any event type
+ */
+function getRouteDefs(hookDef) {
+  var routeDefs = {};
+  if (!hookDef.on) {
+    routeDefs['*'] = {name: hookDef.name, handler: hookDef.handler};
+  } else {
+    Object.keys(hookDef.on).forEach(function(eventType) {
+      var route = hookDef.on[eventType];
+      if (typeof route === 'function') routeDefs[eventType] = {name: hookDef.name + ':' + eventType, handler: route};
+      else if (typeof route === 'string') routeDefs[eventType] = {name: route};
+      else if (route) routeDefs[eventType] = {name: hookDef.name + ':' + eventType};
+    });
+  }
+  return routeDefs;
+}
+
+/**
+ * Get the types of the jobs a hook definition creates.
+ *
+ * @param {Object} hookDef
+ * @returns {Object[]} - Each has the job `type`, and `handler` is true if its jobs are run by a handler
+ */
+module.exports.getJobTypes = function(hookDef) {
+  var routeDefs = getRouteDefs(hookDef);
+  return Object.keys(routeDefs).map(function(eventType) {
+    return {type: routeDefs[eventType].name, handler: Boolean(routeDefs[eventType].handler)};
+  });
+};
+
+/**
+ * Generate a response; the body defaults to the status message ('OK', 'Forbidden', etc...).
+ *
+ * @param {Number} status - HTTP status code
+ * @param {String} [body]
+ * @param {String} [type='text/plain'] - Content type of the body
+ * @returns {Object} - `{status, body, type}`
+ */
+function respond(status, body, type) {
+  return {
+    status: status,
+    body: body === undefined ? http.STATUS_CODES[status] : body,
+    type: type || 'text/plain'
+  };
+}
+
+/**
+ * Paths always start with a '/' and never end with one; this matches express's default routing.
+ *
+ * @param {String} path
+ * @returns {String}
+ */
+function normalizePath(path) {
+  if (path.indexOf('/') !== 0) path = '/' + path;
+  if (path.length > 1) path = path.replace(/\/$/, '');
+  return path;
+}
+
+/**
+ * Get the path for an optional route such as the health route.
+ *
+ * @param {Boolean|String} option - true to use the default path, or the path to use
+ * @param {String} defaultPath
+ * @returns {String} - null if the route is not wanted
+ */
+function getOptionalPath(option, defaultPath) {
+  if (!option) return null;
+  return normalizePath(typeof option === 'string' ? option : defaultPath);
+}
+
+/**
+ * Get the data provided to jobs, handlers and filters from a webhook request body.
+ *
+ * @param {Object} body - Body of the webhook request
+ * @returns {Object}
+ */
+function getEventData(body) {
+  return {
+    eventId: body.event.id,
+    timestamp: body.event.created_at,
+    type: body.event.type,
+    conversation: body.conversation,
+    message: body.message
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Create a health check for the hooks served by a handler; used by the `health` option of listen().
+ * The check resolves with a report such as:
+ *
+ *     {
+ *       status: 'ok',
+ *       redis: 'ok',
+ *       hooks: {
+ *         'Message Read Monitor': {
+ *           lastEventAt: '2016-03-18T22:25:37.000Z', // Last webhook event that was accepted; null if none since startup
+ *           jobs: {inactive: 0, active: 2, failed: 1, delayed: 10},
+ *           registration: 'active'
+ *         }
+ *       }
+ *     }
+ *
+ * `status` is 'error' if Redis can't be reached or the queue can't be read, and 'closing' once the WebhooksServices are closed;
+ * these are the conditions under which the process can't handle events.  `redis` is 'not configured' if no redis client
+ * was provided.  `registration` is the status of the webhook with the hook's name according to Layer's services
+ * ('active', 'inactive' or 'unverified'), 'missing' if there is no such webhook, or 'unknown' if the webhooks
+ * could not be listed.  As an inactive registration is not fixed by restarting the process, it does not change `status`.
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices
+ * @param {Object[]} hooks - Status of each hook, maintained by handler.js
+ * @param {String} hooks.name - Name the hook is registered with
+ * @param {Object[]} hooks.jobs - Job types created by the hook, with the `type` and the `queue` they are created in
+ * @param {Number} hooks.lastEventAt - Time at which the last event was accepted
+ * @returns {Function} - Returns a Promise that resolves with the report
+ */
+var Logger = require('./logger');
+
+// Each check gives up after this long so that probes get a timely response
+var CHECK_TIMEOUT = 5000;
+
+// Layer's services are asked for the registered webhooks at most this often
+var REGISTRATION_CACHE_TTL = 60000;
+
+module.exports = function(services, hooks) {
+  var logger = services.logger || new Logger();
+  var registrations = null;
+  var registrationsFetchedAt = 0;
+
+  return function() {
+    return Promise.all([checkRedis(), getRegistrations()].concat(hooks.map(checkJobs))).then(function(results) {
+      var report = {
+        status: 'ok',
+        redis: results[0],
+        hooks: {}
+      };
+      if (report.redis !== 'ok' && report.redis !== 'not configured') report.status = 'error';
+
+      hooks.forEach(function(hook, index) {
+        var jobs = results[index + 2];
+        if (!jobs) report.status = 'error';
+        report.hooks[hook.name] = {
+          lastEventAt: hook.lastEventAt ? new Date(hook.lastEventAt).toISOString() : null,
+          jobs: jobs,
+          registration: getRegistration(results[1], hook.name)
+        };
+      });
+
+      if (services.closing) report.status = 'closing';
+      return report;
+    });
+  };
+
+  function checkRedis() {
+    if (!services.redis) return Promise.resolve('not configured');
+    return withTimeout(new Promise(function(resolve, reject) {
+      services.redis.ping(function(err) {
+        if (err) reject(err);
+        else resolve('ok');
+      });
+    }), 'Redis ping').catch(function(err) {
+      logger.warn('Redis health check failed', {err: err});
+      return 'error: ' + err.message;
+    });
+  }
+
+  /**
+   * Get the webhooks registered with Layer's services, using the cached list if it is recent.
+   *
+   * @returns {Promise} - Resolves with an array of webhooks, or null if they could not be listed
+   */
+  function getRegistrations() {
+    if (!services.webhooksClient) return Promise.resolve(null);
+    if (registrations && Date.now() - registrationsFetchedAt < REGISTRATION_CACHE_TTL) return Promise.resolve(registrations);
+    return withTimeout(new Promise(function(resolve, reject) {
+      services.webhooksClient.list(function(err, res) {
+        if (err) reject(err);
+        else resolve(res.body);
+      });
+    }), 'Listing webhooks').then(function(webhooks) {
+      registrations = webhooks;
+      registrationsFetchedAt = Date.now();
+      return webhooks;
+    }, function(err) {
+      logger.warn('Unable to list webhooks', {err: err});
+      return null;
+    });
+  }
+
+  /**
+   * Count the jobs of each of the hook's job types.
+   *
+   * @param {Object} hook
+   * @returns {Promise} - Resolves with the counts, or null if they could not be read
+   */
+  function checkJobs(hook) {
+    return Promise.all(hook.jobs.map(function(job) {
+      if (!job.queue.getJobCounts) return Promise.reject(new Error('Queue does not support getJobCounts'));
+      return withTimeout(new Promise(function(resolve, reject) {
+        job.queue.getJobCounts(job.type, function(err, counts) {
+          if (err) reject(err);
+          else resolve(counts);
+        });
+      }), 'Counting ' + job.type + ' jobs');
+    })).then(function(results) {
+      return results.reduce(function(total, counts) {
+        Object.keys(total).forEach(function(state) {
+          total[state] += counts[state] || 0;
+        });
+        return total;
+      }, {inactive: 0, active: 0, failed: 0, delayed: 0});
+    }, function(err) {
+      logger.warn('Unable to count jobs', {hook: hook.name, err: err});
+      return null;
+    });
+  }
+};
+
+function getRegistration(webhooks, name) {
+  if (!webhooks) return 'unknown';
+  var webhook = webhooks.filter(function(webhook) {
+    return webhook.config && webhook.config.name === name;
+  })[0];
+  return webhook ? webhook.status : 'missing';
+}
+
+/**
+ * Reject a Promise that has not settled within CHECK_TIMEOUT.
+ *
+ * @param {Promise} promise
+ * @param {String} description - Used in the error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, description) {
+  return new Promise(function(resolve, reject) {
+    var timer = setTimeout(function() {
+      reject(new Error(description + ' timed out'));
+    }, CHECK_TIMEOUT);
+    promise.then(function(result) {
+      clearTimeout(timer);
+      resolve(result);
+    }, function(err) {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Create a request listener for Node's http module that serves your webhooks without Express.
+ * The options are the same as for listen(), other than `expressApp`.
+ *
+ *     var server = http.createServer(layerWebhooks.httpHandler({
+ *        secret: 'Frodo is a Dodo',
+ *        hooks: [{
+ *          name: 'Message Read Monitor',
+ *          path: '/message-read-monitor',
+ *          events: ['message.read']
+ *        }]
+ *     }));
+ *     server.listen(3000);
+ *
+ * Requests for any other path get a 404.  To serve other routes from the same server, pass in a
+ * `fallback(req, res)` option, which is called for any request that is not for one of the hook paths.
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
+ * @param {Object} options - See listen.js
+ * @param {Function} [options.fallback] - Called with `fallback(req, res)` for requests that are not for a hook path
+ * @param {Number} [options.limit=102400] - Maximum size in bytes of a webhook request body
+ * @returns {Function} - Called with `fn(req, res)`
+ */
+var url = require('url');
+var http = require('http');
+var createHandler = require('./handler');
+var readBody = require('./read-body');
+var Logger = require('./logger');
+
+module.exports = function(services, options) {
+  var handle = createHandler(services, options);
+  var limit = options.limit || 100 * 1024;
+  var logger = services.logger || new Logger();
+
+  return function(req, res) {
+    var parsedUrl = url.parse(req.url, true);
+    if (options.fallback && !isHookPath(parsedUrl.pathname)) return options.fallback(req, res);
+
+    var body = req.method === 'POST' ? readBody(req, limit) : Promise.resolve('');
+    body.then(function(rawBody) {
+      return handle(req.method, parsedUrl.pathname, parsedUrl.query, req.headers, rawBody);
+    }, function(err) {
+      var status = err.status || 400;
+      return {status: status, body: http.STATUS_CODES[status], type: 'text/plain'};
+    }).catch(function(err) {
+      logger.error('Unable to handle webhook request', {err: err, path: parsedUrl.pathname});
+      return {status: 500, body: http.STATUS_CODES[500], type: 'text/plain'};
+    }).then(function(response) {
+      res.writeHead(response.status, {'Content-Type': response.type + '; charset=utf-8'});
+      res.end(response.body);
+    });
+  };
+
+  function isHookPath(pathname) {
+    return handle.paths.indexOf(pathname.replace(/(.)\/$/, '$1')) !== -1;
+  }
+};
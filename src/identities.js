@@ -0,0 +1,163 @@
+/**
+ * Cache of Identity data for the receipts service, shared by all of its hooks.  Each WebhooksServices instance
+ * has one as `services.identityCache`; configure it with the `identityCache` option of the WebhooksServices config.
+ *
+ *     cache.getIdentities(['frodo', 'sam', 'frodo'], null, function(identities, errors) {
+ *       // identities: {frodo: {...}, sam: null}
+ *       // errors: {sam: 'Identity lookup timed out after 10000ms'}
+ *     });
+ *
+ * Each user ID is looked up once, no matter how often it appears in the request or how many other requests are
+ * waiting on it, and the result is cached for `ttl` ms.  Once `maxSize` identities are cached, the least recently
+ * used are dropped.  A lookup that fails or takes longer than `timeout` is reported in `errors` rather than
+ * holding up the others, and is not cached.
+ *
+ * @class
+ * @param {Object} [layerClient] - Layer Platform API client used to look up identities when no function is provided
+ * @param {Object} [options]
+ * @param {String|Number} [options.ttl='5m'] - How long to cache each identity; 0 to not cache
+ * @param {Number} [options.maxSize=1000] - Maximum number of identities to cache
+ * @param {String|Number} [options.timeout='10s'] - How long to wait for each lookup
+ */
+var getDuration = require('./duration');
+
+function IdentityCache(layerClient, options) {
+  options = options || {};
+  this.layerClient = layerClient;
+  this.ttl = getDuration(options.ttl, '5m');
+  this.maxSize = options.maxSize === undefined ? 1000 : options.maxSize;
+  this.timeout = getDuration(options.timeout, '10s');
+  this.entries = {}; // Indexed by cache key, from least to most recently used
+  this.size = 0;
+  this.pending = {}; // Callbacks waiting on each lookup in progress, indexed by cache key
+  this.sources = []; // Lookup functions; each caches its identities separately
+}
+
+/**
+ * Get the Identity data for a set of users.
+ *
+ * @param {String[]} userIds - User IDs; may contain duplicates
+ * @param {Function} [fetch] - Called with `fetch(userId, callback)` to look up an identity, where `callback` is
+ *                             called with `callback(err, identity)`; defaults to Layer's Identity service
+ * @param {Function} callback - Called with `callback(identities, errors)`, where `identities` has the Identity data
+ *                              for each user ID (null for those that failed), and `errors` has the error message for
+ *                              each user ID that failed
+ */
+IdentityCache.prototype.getIdentities = function(userIds, fetch, callback) {
+  var cache = this;
+  var identities = {};
+  var errors = {};
+  var remaining = 1; // Held until every lookup has started, in case lookups call back synchronously
+  var prefix = this.getSourceIndex(fetch || null) + ':';
+
+  userIds.filter(function(userId, index) {
+    return userIds.indexOf(userId) === index;
+  }).forEach(function(userId) {
+    var key = prefix + userId;
+    var entry = cache.entries[key];
+    if (entry && entry.expiresAt > Date.now()) {
+      identities[userId] = entry.identity;
+      cache.touch(key);
+      return;
+    }
+
+    remaining++;
+    cache.lookup(key, userId, fetch, function(err, identity) {
+      if (err) errors[userId] = err.message || String(err);
+      identities[userId] = err ? null : identity;
+      done();
+    });
+  });
+  done();
+
+  function done() {
+    remaining--;
+    if (!remaining) callback(identities, errors);
+  }
+};
+
+/**
+ * Forget all cached identities.
+ */
+IdentityCache.prototype.clear = function() {
+  this.entries = {};
+  this.size = 0;
+};
+
+IdentityCache.prototype.getSourceIndex = function(fetch) {
+  var index = this.sources.indexOf(fetch);
+  if (index === -1) {
+    index = this.sources.length;
+    this.sources.push(fetch);
+  }
+  return index;
+};
+
+/**
+ * Look up an identity, or wait for the lookup already in progress for it.
+ */
+IdentityCache.prototype.lookup = function(key, userId, fetch, callback) {
+  var cache = this;
+  if (this.pending[key]) return this.pending[key].push(callback);
+  this.pending[key] = [callback];
+
+  var finished = false;
+  var timer = setTimeout(function() {
+    finish(new Error('Identity lookup timed out after ' + cache.timeout + 'ms'));
+  }, this.timeout);
+
+  function finish(err, identity) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    var callbacks = cache.pending[key];
+    delete cache.pending[key];
+    if (!err) cache.set(key, identity === undefined ? null : identity);
+    callbacks.forEach(function(fn) {
+      fn(err, identity);
+    });
+  }
+
+  try {
+    (fetch || this.fetchFromLayer.bind(this))(userId, finish);
+  } catch (err) {
+    finish(err);
+  }
+};
+
+IdentityCache.prototype.fetchFromLayer = function(userId, callback) {
+  this.layerClient.identities.get(userId, function(err, response) {
+    callback(err, err ? null : response.body);
+  });
+};
+
+IdentityCache.prototype.set = function(key, identity) {
+  if (!this.ttl || !this.maxSize) return;
+  if (this.entries[key]) {
+    delete this.entries[key];
+    this.size--;
+  }
+  this.entries[key] = {
+    identity: identity,
+    expiresAt: Date.now() + this.ttl
+  };
+  this.size++;
+
+  // Properties are iterated in the order they were added, so the first is the least recently used
+  for (var oldest in this.entries) {
+    if (this.size <= this.maxSize) break;
+    delete this.entries[oldest];
+    this.size--;
+  }
+};
+
+/**
+ * Mark a cached identity as the most recently used.
+ */
+IdentityCache.prototype.touch = function(key) {
+  var entry = this.entries[key];
+  delete this.entries[key];
+  this.entries[key] = entry;
+};
+
+module.exports = IdentityCache;
@@ -1,6 +1,12 @@
-
 var LayerWebhooks = require('layer-webhooks');
 var LayerClient = require('layer-api');
+var KueQueue = require('./queues/kue');
+var MemoryQueue = require('./queues/memory');
+var Metrics = require('./metrics');
+var Logger = require('./logger');
+var RedisStore = require('./stores/redis');
+var MemoryStore = require('./stores/memory');
+var IdentityCache = require('./identities');
 
 /**
  * Layer Webhook Services constructor
@@ -9,12 +15,50 @@ var LayerClient = require('layer-api');
  * @param  {Object} config Configuration values
  * @param  {String} config.token Layer Platform API token
  * @param  {String} config.appId Layer Application ID
+ * @param  {Redis} [config.redis] Redis client; used by the receipts service and needed by hooks using `dedupe`
+ * @param  {Object} [config.receiptsStore] Store used by the receipts service; defaults to a RedisStore using `config.redis`, or a MemoryStore if there is no redis client
+ * @param  {Object} [config.identityCache] Options for caching the identities looked up by the receipts service: `ttl`, `maxSize` and `timeout`; see identities.js
+ * @param  {Object} [config.queue] Queue adapter used to create and process jobs; defaults to a KueQueue
+ * @param  {Object} [config.logger] Logger with pino style methods; see logger.js.  Defaults to writing JSON to stderr
+ * @param  {Boolean} [config.jobMetrics=false] Count completed and failed jobs even for hooks listened for without the `metrics` option; see metrics.js
  */
-module.exports = function(config) {
+var WebhooksServices = module.exports = function(config) {
     var webhooksClient = new LayerWebhooks(config);
     var layerClient = new LayerClient(config);
 
-    this.listen = require('./listen');
-    this.receipts = require('./receipts').bind(null, layerClient, config.redis);
-    this.register = require('./register').bind(null, webhooksClient);
+    // Shared by each of the services
+    var services = {
+      queue: config.queue || new KueQueue(),
+      handlerQueue: new MemoryQueue(), // Used for hooks that provide a handler
+      redis: config.redis,
+      receiptsStore: config.receiptsStore || (config.redis ? new RedisStore(config.redis) : new MemoryStore()),
+      layerClient: layerClient,
+      identityCache: new IdentityCache(layerClient, config.identityCache),
+      webhooksClient: webhooksClient,
+      metrics: new Metrics(),
+      jobMetrics: Boolean(config.jobMetrics),
+      logger: new Logger(config.logger),
+      hookJobs: {}, // Job types, queues and retry settings of each hook, indexed by hook name; set by handler.js
+      closing: null // Promise set by close()
+    };
+
+    this.queue = services.queue;
+    this.metrics = services.metrics;
+    this.logger = services.logger;
+    this.listen = require('./listen').bind(null, services);
+    this.createHandler = require('./handler').bind(null, services);
+    this.httpHandler = require('./http').bind(null, services);
+    this.koaMiddleware = require('./koa').bind(null, services);
+    this.receipts = require('./receipts').bind(null, services);
+    this.register = require('./register').bind(null, services);
+    this.replay = require('./replay').bind(null, services);
+    this.close = require('./close').bind(null, services);
 };
+
+WebhooksServices.KueQueue = KueQueue;
+WebhooksServices.MemoryQueue = MemoryQueue;
+WebhooksServices.Metrics = Metrics;
+WebhooksServices.Logger = Logger;
+WebhooksServices.RedisStore = RedisStore;
+WebhooksServices.MemoryStore = MemoryStore;
+WebhooksServices.testing = require('./testing');
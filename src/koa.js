@@ -0,0 +1,50 @@
+/**
+ * Create Koa middleware that serves your webhooks.  The options are the same as for listen(),
+ * other than `expressApp`.  Requests for any other path are passed on to the next middleware.
+ *
+ *     var app = new Koa();
+ *     app.use(layerWebhooks.koaMiddleware({
+ *        secret: 'Frodo is a Dodo',
+ *        hooks: [{
+ *          name: 'Message Read Monitor',
+ *          path: '/message-read-monitor',
+ *          events: ['message.read']
+ *        }]
+ *     }));
+ *
+ * The signature is verified against the raw request body; if a body parser runs before this middleware,
+ * it must keep the raw body as `ctx.request.rawBody` (koa-bodyparser does this).
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
+ * @param {Object} options - See listen.js
+ * @param {Number} [options.limit=102400] - Maximum size in bytes of a webhook request body
+ * @returns {Function} - Called with `fn(ctx, next)`
+ */
+var createHandler = require('./handler');
+var readBody = require('./read-body');
+
+module.exports = function(services, options) {
+  var handle = createHandler(services, options);
+  var limit = options.limit || 100 * 1024;
+
+  return function(ctx, next) {
+    if (handle.paths.indexOf(ctx.path.replace(/(.)\/$/, '$1')) === -1) return next();
+
+    // Errors from the handler itself are left for Koa to answer with a 500
+    return getRawBody(ctx).then(function(rawBody) {
+      return handle(ctx.method, ctx.path, ctx.query, ctx.headers, rawBody).then(function(response) {
+        ctx.status = response.status;
+        ctx.type = response.type;
+        ctx.body = response.body;
+      });
+    }, function(err) {
+      ctx.status = err.status || 400;
+    });
+  };
+
+  function getRawBody(ctx) {
+    if (ctx.method !== 'POST') return Promise.resolve('');
+    if (ctx.request.rawBody !== undefined) return Promise.resolve(ctx.request.rawBody);
+    return readBody(ctx.req, limit);
+  }
+};
@@ -1,5 +1,6 @@
 /**
- * Create listeners for each of your webhooks that will create a Kue process for processing each new webhook event.
+ * Create listeners for each of your webhooks that will create a job in the queue for processing each new webhook event.
+ * The queue is Kue unless a different queue adapter was provided in the WebhooksServices config.
  *
  *     var kue = require('kue'),
  *         queue = kue.createQueue();
@@ -30,112 +31,124 @@
  *       handleNewConversationEvents(job, done);
  *     });
  *
+ * Instead of processing jobs from the queue, a hook can provide a `handler` function which is called with the
+ * same data a job would receive.  These hooks are served within this process, without Kue or Redis:
  *
+ *     layerWebhooks.listen({
+ *        expressApp: app,
+ *        secret: 'Frodo is a Dodo',
+ *        hooks: [{
+ *          name: 'Conversation Create Monitor',
+ *          path: '/conversation-create-monitor',
+ *          concurrency: 5,
+ *          handler: function(event) {
+ *            return welcomeParticipants(event.conversation); // Return a Promise; rejecting will retry the event
+ *          }
+ *        }]
+ *     });
+ *
+ * To serve your webhooks without Express, see handler.js, http.js and koa.js; they take the same options, other than `expressApp`.
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
  * @param {Express App} expressApp - An instance of an express app; needed to create .get() and .post() listeners for the webhook requests
- * @param {String} secret - String known only to your company for use validating
- *                          that requests to your webhook endpoints come from authorized sources.
+ * @param {String|String[]} secret - String known only to your company for use validating
+ *                          that requests to your webhook endpoints come from authorized sources.  Use an array
+ *                          to accept requests signed with any of several secrets while changing your secret.
+ * @param {Boolean} [allowUnsigned=false] - Accept requests that have no `layer-webhook-signature` header.  This makes your
+ *                          endpoints insecure; anyone can create jobs by posting to them.
+ * @param {String[]} [allowUnsignedEventIds] - IDs of events to accept even if their signature is missing or invalid; for use in emergencies
+ *                          such as when an event's signature can not be verified and Layer keeps retrying it.
+ * @param {Boolean|String} [health=false] - Serve a JSON health report for liveness and readiness probes at `/health`, or at the path
+ *                          provided.  It responds with a 503 if Redis or the queue can't be reached, or once the services are closing; see health.js.
+ * @param {Boolean|String} [metrics=false] - Serve metrics in the Prometheus text format at `/metrics`, or at the path provided; see metrics.js.
  * @param {Object[]} hooks - Array of hook definitions with callbacks
  * @param {String} hooks.name - A unique name or ID for your webhook; used for the Kue job name and for logging
  * @param {String} hooks.path - Path extension to your url for listening to these webhooks;
  *                              this is where the express app will be listening for this hook.
  * @param {String|Number} hooks.delay - Delay before creating the queue process.  If number, ms to wait. If string, see https://www.npmjs.com/package/ms
+ * @param {String|Number} [hooks.dedupe] - If set, each event ID is remembered in Redis for this long, and any repeated
+ *                              delivery of that event is acknowledged without creating a new job.  If number, ms to remember;
+ *                              if string, see https://www.npmjs.com/package/ms
+ * @param {Function} [hooks.handler] - If set, no job is added to the queue; instead `handler(data)` is called with the data described
+ *                              below, and should return a Promise.  If the Promise rejects, the handler is retried.
+ * @param {Number} [hooks.concurrency=1] - Only used with `handler`; the number of events to handle at once
+ * @param {Number} [hooks.attempts=10] - Number of times to try processing an event before giving up
+ * @param {Object} [hooks.backoff={type: 'exponential', delay: 10000}] - How long to wait between attempts
+ * @param {String|Number} [hooks.timeout] - Fail any attempt that takes longer than this.  If number, ms to wait. If string, see https://www.npmjs.com/package/ms
+ * @param {Boolean} [hooks.deadLetter=true] - Once an event has failed all of its attempts, create a job named `<hooks.name>:dead`
+ *                              whose data has the failed job's `payload` and the last `error`.
+ * @param {Function|Object} [hooks.filter] - Only create jobs for events that match the filter.  Either a function that is called
+ *                              with the event data described below and returns true to keep the event, or an object matching
+ *                              on `metadata`, `mimeTypes`, `text`, `sender` and `participants`; see filter.js for details.
+ * @param {Object} [hooks.senderPolicy] - Determines which Message events create jobs based on their sender.  By default, Messages
+ *                              sent via the Platform API are ignored to avoid bot loops.  Use `includePlatformMessages`, `allow`
+ *                              and `deny` lists of sender names, and a per-Conversation `rateLimit` to change this; see sender-policy.js for details.
+ * @param {Object} [hooks.on] - Route each event type to its own job or handler, rather than one job named after the hook.
+ *                              Keys are event types; values are a handler function (see `hooks.handler`), a job name,
+ *                              or `true` to use a job named `<hooks.name>:<event type>`.  Events of any other type are ignored:
+ *
+ *     hooks: [{
+ *       name: 'Bot',
+ *       path: '/bot',
+ *       on: {
+ *         'message.sent': true, // Creates 'Bot:message.sent' jobs
+ *         'conversation.created': 'New Conversations', // Creates 'New Conversations' jobs
+ *         'conversation.deleted': function(event) { // Handled within this process
+ *           return cleanup(event.conversation);
+ *         }
+ *       }
+ *     }]
  *
  * Your jobs.data will contain:
+ * @param {String} eventId - ID of the webhook event; repeated deliveries of an event have the same ID
  * @param {String} timestamp - Time at which the event occurred
  * @param {String} type - One event type 'message.sent', 'conversation.deleted', etc.
  * @param {Object} conversation - If this is a Conversation event, then a full REST Conversation object will be contained here
  * @param {Object} message - If this is a Message event, then a full REST Message object will be contained here
  */
-var ms = require('ms');
-var crypto = require('crypto');
-var kue = require('kue');
-var queue = kue.createQueue();
-var jsonParser = require('body-parser').json({type: 'application/vnd.layer.webhooks+json'});
-var Debug = require('debug');
+// Keep the raw request body; the signature must be verified against the exact bytes that Layer signed
+var jsonParser = require('body-parser').json({
+  type: 'application/vnd.layer.webhooks+json',
+  verify: function(req, res, buf) {
+    req.rawBody = buf;
+  }
+});
+var createHandler = require('./handler');
 
-module.exports = function(options) {
+module.exports = function(services, options) {
   var app = options.expressApp;
-  var secret = options.secret;
-  var hooks = options.hooks;
+  var handle = createHandler(services, options);
 
   /**
-   * Setup each hook definition so that we listen for validation
-   * and events.
+   * Listen for verification requests and webhook events on each hook's path,
+   * and send whatever response the handler generates.
    */
-  hooks.forEach(function(hookDef) {
-    var webhookName = hookDef.name;
-    var logger = Debug('layer-webhooks-services:' + webhookName.replace(/\s/g,'-'));
-    var loggerError = Debug('layer-webhooks-services-error:' + webhookName.replace(/\s/g,'-'));
-    var path = hookDef.path;
-    if (path.indexOf('/') !== 0) path = '/' + path;
-    var delay = hookDef.delay ? ms(hookDef.delay) : 0;
-
-    /**
-     * Listen for verifcation requests. These requests are sent by Layer Services when
-     * first registering a webhook... or when activating a disabled webhook.
-     */
-    app.get(path, function(req, res) {
-      logger('Received Verification Challenge');
-      if (req.query.verification_challenge) {
-        return res.send(req.query.verification_challenge);
-      }
-      res.sendStatus(200);
+  handle.paths.forEach(function(path) {
+    app.get(path, function(req, res, next) {
+      handle('GET', path, req.query, req.headers).then(send.bind(null, res), next);
     });
 
-    /**
-     * Listen for webhook events and respond with 200.
-     * accumulated events.
-     */
-    app.post(path, jsonParser, handleValidation, function(req, res) {
-      logger('Received webhook for ' + req.body.event.type);
-
-      // Only respond to conversation events or to messages NOT sent via Platform API.
-      // Responding to bots could create an infinite bot loop
-      if (!req.body.message || req.body.message.sender.user_id) {
-        queue.createJob(webhookName, {
-          title: webhookName,
-          timestamp: req.body.event.created_at,
-          type: req.body.event.type,
-          conversation: req.body.conversation,
-          message: req.body.message
-        }).delay(delay).attempts(10).backoff({
-          type: 'exponential',
-          delay: 10000
-        }).save( function(err){
-           if( err ) {
-            console.error('Unable to create Kue process: ', err );
-          }
-        });
-      }
-
-      res.sendStatus(200);
+    app.post(path, jsonParser, function(req, res, next) {
+      handle('POST', path, req.query, req.headers, getRawBody(req)).then(send.bind(null, res), next);
     });
-
-
-
-    /**
-     * Validate that the request comes from Layer services by comparing the secret
-     * provided when registering the webhook with the 'layer-webhook-signature' header.
-     */
-    function handleValidation (req, res, next) {
-      var payload = JSON.stringify(req.body);
-      var nodeVersion = Number(process.version.replace(/^v/, '').split(/\./)[0]);
-      logger('Webhook received with Id: ' + req.body.event.id);
-      // In event of deleted hooks causing the app to crash
-      if (!req.body.config || (req.body.event && req.body.event.id === '6c88d146-1215-4be1-b5a1-6bf0ad73f56c')) {
-        logger('Ignoring validation for webhook' + req.body.event.id);
-        next();
-      } else {
-        var utf8safe = nodeVersion >= 6 ? payload : unescape(encodeURIComponent(payload));
-        var hash = crypto.createHmac('sha1', secret).update(utf8safe).digest('hex');
-        var signature = req.get('layer-webhook-signature');
-
-        if (hash === signature) next();
-        else {
-          loggerError('Computed HMAC Signature ' + hash + ' did not match signed header ' + signature + '. Returning Error.  Config:', JSON.stringify(payload.config || {}));
-          res.sendStatus(403);
-        }
-      }
-    }
   });
 };
+
+function send(res, response) {
+  res.status(response.status).type(response.type).send(response.body);
+}
+
+/**
+ * Get the body of a request as it was signed by Layer.  If the body was parsed before reaching
+ * our JSON parser, the raw body is not available and the parsed body is serialized instead;
+ * this only works if the serialized body is identical to the original.
+ *
+ * @param {Request} req
+ * @returns {Buffer|String}
+ */
+function getRawBody(req) {
+  if (req.rawBody) return req.rawBody;
+  var payload = JSON.stringify(req.body);
+  var nodeVersion = Number(process.version.replace(/^v/, '').split(/\./)[0]);
+  return nodeVersion >= 6 ? payload : unescape(encodeURIComponent(payload));
+}
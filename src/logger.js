@@ -0,0 +1,125 @@
+/**
+ * Structured logging for the WebhooksServices.  Every line is logged with fields identifying what it is about,
+ * so that an event can be traced from the webhook request to the job that processes it:
+ *
+ *     {"level":"debug","time":"2016-03-18T22:25:37.000Z","hook":"Message Read Monitor","eventId":"...",
+ *      "eventType":"message.read","conversationId":"layer:///conversations/...","messageId":"layer:///messages/...",
+ *      "jobId":12,"msg":"Created job"}
+ *
+ * Provide your own logger using the `logger` option of the WebhooksServices config.  It needs pino style
+ * `debug`, `info`, `warn` and `error` methods that are called with `(fields, message)`; pino and bunyan loggers
+ * can be used as they are, and winston loggers can be wrapped with `Logger.fromWinston(logger)`.
+ *
+ * Without a logger, lines are written to stderr as JSON.  Warnings and errors are always written; debug and info
+ * lines are only written if the `DEBUG` environment variable enables `layer-webhooks-services`.
+ *
+ * @class
+ * @param {Object} [base] - Logger to write to
+ * @param {Object} [fields] - Fields to include in every line
+ */
+var Debug = require('debug');
+var debug = Debug('layer-webhooks-services');
+var LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function Logger(base, fields) {
+  this.base = base || defaultLogger;
+  this.fields = fields || {};
+}
+
+/**
+ * Create a logger that adds fields to every line.
+ *
+ * @param {Object} fields
+ * @returns {Logger}
+ */
+Logger.prototype.child = function(fields) {
+  return new Logger(this.base, merge(this.fields, fields));
+};
+
+/**
+ * Log a message; `logger.debug()`, `logger.info()`, `logger.warn()` and `logger.error()` are all called
+ * with `(message, fields)`.  Errors are logged using an `err` field.
+ */
+LEVELS.forEach(function(level) {
+  Logger.prototype[level] = function(message, fields) {
+    this.base[level](merge(this.fields, fields), message);
+  };
+});
+
+/**
+ * Get the fields that identify an event and the Conversation and Message it is about.
+ *
+ * @param {Object} data - Event data or job data, with `eventId`, `type`, `conversation` and `message` properties
+ * @returns {Object}
+ */
+Logger.getEventFields = function(data) {
+  var conversation = data.conversation || (data.message && data.message.conversation);
+  return {
+    eventId: data.eventId,
+    eventType: data.type,
+    conversationId: conversation ? conversation.id : undefined,
+    messageId: data.message ? data.message.id : undefined
+  };
+};
+
+/**
+ * Get the fields that identify a job and the event it was created for.
+ *
+ * @param {Object} job
+ * @returns {Object}
+ */
+Logger.getJobFields = function(job) {
+  var fields = Logger.getEventFields(job.data || {});
+  fields.jobId = job.id;
+  return fields;
+};
+
+/**
+ * Wrap a winston logger, whose methods are called with `(message, fields)`.
+ *
+ * @param {Object} logger - A winston logger
+ * @returns {Object}
+ */
+Logger.fromWinston = function(logger) {
+  var result = {};
+  LEVELS.forEach(function(level) {
+    result[level] = function(fields, message) {
+      logger[level](message, fields);
+    };
+  });
+  return result;
+};
+
+var defaultLogger = {};
+LEVELS.forEach(function(level) {
+  defaultLogger[level] = function(fields, message) {
+    if ((level === 'debug' || level === 'info') && !debug.enabled) return;
+    process.stderr.write(format(level, fields, message) + '\n');
+  };
+});
+
+function format(level, fields, message) {
+  var line = {
+    level: level,
+    time: new Date().toISOString()
+  };
+  Object.keys(fields).forEach(function(name) {
+    var value = fields[name];
+    if (value === undefined) return;
+    line[name] = value instanceof Error ? {message: value.message, stack: value.stack} : value;
+  });
+  line.msg = message;
+  return JSON.stringify(line);
+}
+
+function merge(a, b) {
+  var result = {};
+  [a, b].forEach(function(obj) {
+    Object.keys(obj || {}).forEach(function(name) {
+      result[name] = obj[name];
+    });
+  });
+  return result;
+}
+
+module.exports = Logger;
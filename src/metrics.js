@@ -0,0 +1,190 @@
+/**
+ * Metrics for webhook events and the jobs they create, in the Prometheus text format.  Each WebhooksServices
+ * instance has a Metrics registry as `lws.metrics`; use the `metrics` option of listen() to serve it, or serve
+ * it yourself:
+ *
+ *     app.get('/metrics', function(req, res) {
+ *       res.type(Metrics.CONTENT_TYPE).send(lws.metrics.format());
+ *     });
+ *
+ * The metrics are:
+ *
+ *  * `layer_webhooks_received_total{hook, event_type}`: Webhook events with a valid signature
+ *  * `layer_webhooks_signature_failures_total{hook}`: Requests rejected because their signature could not be verified
+ *  * `layer_webhooks_unsigned_accepted_total{hook}`: Requests accepted without a valid signature due to `allowUnsigned` or `allowUnsignedEventIds`
+ *  * `layer_webhooks_filtered_total{hook, reason}`: Events ignored due to the hook's `filter` or `senderPolicy` (`reason` is 'filter' or 'sender')
+ *  * `layer_webhooks_deduped_total{hook}`: Repeated deliveries ignored due to the hook's `dedupe` option
+ *  * `layer_webhooks_jobs_created_total{job_type}`: Jobs created for webhook events
+ *  * `layer_webhooks_jobs_completed_total{job_type}`: Jobs that completed
+ *  * `layer_webhooks_jobs_failed_total{job_type}`: Jobs that failed all of their attempts
+ *  * `layer_webhooks_receipt_reports_total{hook}`: Jobs created by the receipts service for Messages with recipients to report on
+ *  * `layer_webhooks_event_latency_seconds{job_type}`: Histogram of the time from the event's `created_at` to the completion of its job
+ *
+ * Completed and failed jobs are only counted for hooks listened for with the `metrics` option, or for every hook if the
+ * WebhooksServices config has `jobMetrics`, as counting them adds work for each job; and only if the queue adapter
+ * supports `onComplete` and `onFailed`.
+ *
+ * @class
+ */
+var PREFIX = 'layer_webhooks_';
+var LATENCY_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 300, 600, 1800, 3600];
+
+function Metrics() {
+  this.metrics = {};
+  this.trackedJobs = {};
+  this.define('counter', 'received_total', 'Webhook events with a valid signature');
+  this.define('counter', 'signature_failures_total', 'Webhook requests rejected because their signature could not be verified');
+  this.define('counter', 'unsigned_accepted_total', 'Webhook requests accepted without a valid signature');
+  this.define('counter', 'filtered_total', 'Webhook events ignored due to the filter or senderPolicy of the hook');
+  this.define('counter', 'deduped_total', 'Repeated deliveries of webhook events that were ignored');
+  this.define('counter', 'jobs_created_total', 'Jobs created for webhook events');
+  this.define('counter', 'jobs_completed_total', 'Jobs that completed');
+  this.define('counter', 'jobs_failed_total', 'Jobs that failed all of their attempts');
+  this.define('counter', 'receipt_reports_total', 'Jobs created by the receipts service to report on unread or undelivered Messages');
+  this.define('histogram', 'event_latency_seconds', 'Time from the creation of a webhook event to the completion of its job', LATENCY_BUCKETS);
+}
+
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+/**
+ * Add a metric to the registry.
+ *
+ * @param {String} type - 'counter' or 'histogram'
+ * @param {String} name - Name of the metric, without the `layer_webhooks_` prefix
+ * @param {String} help - Description of the metric
+ * @param {Number[]} [buckets] - Upper bounds of the histogram buckets
+ */
+Metrics.prototype.define = function(type, name, help, buckets) {
+  this.metrics[name] = {
+    type: type,
+    help: help,
+    buckets: buckets,
+    values: {} // Indexed by the formatted labels
+  };
+};
+
+/**
+ * Increment a counter.
+ *
+ * @param {String} name - Name of the metric, without the `layer_webhooks_` prefix
+ * @param {Object} labels - Label values, such as `{hook: 'Message Read Monitor'}`
+ * @param {Number} [value=1]
+ */
+Metrics.prototype.inc = function(name, labels, value) {
+  var values = this.metrics[name].values;
+  var key = formatLabels(labels);
+  values[key] = (values[key] || 0) + (value === undefined ? 1 : value);
+};
+
+/**
+ * Record a value in a histogram.
+ *
+ * @param {String} name - Name of the metric, without the `layer_webhooks_` prefix
+ * @param {Object} labels - Label values
+ * @param {Number} value
+ */
+Metrics.prototype.observe = function(name, labels, value) {
+  var metric = this.metrics[name];
+  var key = formatLabels(labels);
+  var entry = metric.values[key];
+  if (!entry) {
+    entry = metric.values[key] = {
+      labels: labels,
+      counts: metric.buckets.map(function() {
+        return 0;
+      }),
+      sum: 0,
+      count: 0
+    };
+  }
+  metric.buckets.forEach(function(bucket, index) {
+    if (value <= bucket) entry.counts[index]++;
+  });
+  entry.sum += value;
+  entry.count++;
+};
+
+/**
+ * Count the jobs of the specified type that complete or fail, and record the latency of each completed job.
+ * Calling this again for the same queue and type does nothing.
+ *
+ * @param {Queue} queue - The queue adapter
+ * @param {String} type - The job type
+ */
+Metrics.prototype.trackJobs = function(queue, type) {
+  var metrics = this;
+  var queues = this.trackedJobs[type] || (this.trackedJobs[type] = []);
+  if (queues.indexOf(queue) !== -1) return;
+  queues.push(queue);
+
+  if (queue.onComplete) {
+    queue.onComplete(type, function(job) {
+      metrics.inc('jobs_completed_total', {job_type: type});
+      var createdAt = job.data ? Date.parse(job.data.timestamp) : NaN;
+      if (!isNaN(createdAt)) metrics.observe('event_latency_seconds', {job_type: type}, Math.max(0, Date.now() - createdAt) / 1000);
+    });
+  }
+  if (queue.onFailed) {
+    queue.onFailed(type, function() {
+      metrics.inc('jobs_failed_total', {job_type: type});
+    });
+  }
+};
+
+/**
+ * Get all of the metrics in the Prometheus text format.
+ *
+ * @returns {String}
+ */
+Metrics.prototype.format = function() {
+  var metrics = this.metrics;
+  return Object.keys(metrics).map(function(name) {
+    var metric = metrics[name];
+    var lines = [
+      '# HELP ' + PREFIX + name + ' ' + metric.help,
+      '# TYPE ' + PREFIX + name + ' ' + metric.type
+    ];
+    Object.keys(metric.values).forEach(function(key) {
+      if (metric.type === 'counter') {
+        lines.push(PREFIX + name + key + ' ' + metric.values[key]);
+      } else {
+        lines = lines.concat(formatHistogram(PREFIX + name, metric.buckets, metric.values[key]));
+      }
+    });
+    return lines.join('\n');
+  }).join('\n') + '\n';
+};
+
+function formatHistogram(name, buckets, entry) {
+  var lines = buckets.map(function(bucket, index) {
+    return name + '_bucket' + formatLabels(entry.labels, {le: String(bucket)}) + ' ' + entry.counts[index];
+  });
+  lines.push(name + '_bucket' + formatLabels(entry.labels, {le: '+Inf'}) + ' ' + entry.count);
+  lines.push(name + '_sum' + formatLabels(entry.labels) + ' ' + entry.sum);
+  lines.push(name + '_count' + formatLabels(entry.labels) + ' ' + entry.count);
+  return lines;
+}
+
+/**
+ * Format labels as `{name="value",...}`.
+ *
+ * @param {Object} labels
+ * @param {Object} [extra] - Additional labels, such as the `le` label of a histogram bucket
+ * @returns {String}
+ */
+function formatLabels(labels, extra) {
+  var all = {};
+  [labels, extra].forEach(function(obj) {
+    Object.keys(obj || {}).forEach(function(name) {
+      all[name] = obj[name];
+    });
+  });
+  var names = Object.keys(all);
+  if (!names.length) return '';
+  return '{' + names.map(function(name) {
+    var value = String(all[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return name + '="' + value + '"';
+  }).join(',') + '}';
+}
+
+module.exports = Metrics;
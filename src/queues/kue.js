@@ -0,0 +1,191 @@
+/**
+ * Queue adapter backed by Kue; this is the default queue used by the WebhooksServices.
+ *
+ *     var WebhooksServices = require('layer-webhooks-services');
+ *     var queue = new WebhooksServices.KueQueue({
+ *       redis: process.env.REDIS_URL
+ *     });
+ *
+ *     var lws = new WebhooksServices({
+ *       token: process.env.LAYER_BEARER_TOKEN,
+ *       appId: process.env.LAYER_APP_ID,
+ *       redis: redis,
+ *       queue: queue
+ *     });
+ *
+ * Any object with the same `createJob` and `process` methods can be used as a queue adapter:
+ *
+ *  * `createJob(type, data)` returns a job with chainable `delay(ms)`, `attempts(count)`,
+ *    `backoff({type: 'exponential'|'fixed', delay: ms})` and `ttl(ms)` methods, and a `save(callback)` method.
+ *  * `process(type, [concurrency], fn)` calls `fn(job, done)` for each job of that type, where `job.data`
+ *    is the data passed to `createJob`; `done(err)` is called once the job completes or fails.
+ *  * `onFailed(type, fn)` is optional; it calls `fn(job, error)` once for each job of that type that has
+ *    failed all of its attempts.  Several callbacks may be registered for a type.  Without it, failed jobs are not
+ *    moved to a dead-letter job type.
+ *  * `onComplete(type, fn)` is optional; it calls `fn(job)` once for each job of that type that completes.
+ *    Several callbacks may be registered for a type.  Without it, metrics do not include completed jobs.
+ *  * `getJobs(type, state, callback)` is optional; it calls `callback(err, jobs)` with the jobs of that type in the
+ *    specified state ('inactive', 'delayed', 'active' or 'failed').  Each job has `id`, `data`, `failedAt` (for
+ *    failed jobs) and a `remove(callback)` method.  Without it, failed jobs can not be replayed.
+ *  * `getJobCounts(type, callback)` is optional; it calls `callback(err, counts)` with the number of jobs of that type
+ *    that are `inactive`, `active`, `failed` and `delayed`.  Without it, the health route can not report queue backlogs.
+ *  * `shutdown(timeout, callback)` is optional; it stops taking new jobs and calls `callback(err)` once active
+ *    jobs have finished, or once `timeout` ms have passed.  It is used by the `serve` command when it is stopped.
+ *
+ * NOTE: Kue's `createQueue` function returns a singleton; the queue is not created until
+ * first used, so any call you make to `kue.createQueue()` before then defines the singleton.
+ *
+ * @class
+ * @param  {Object} [options] Options passed to `kue.createQueue()`
+ */
+var kue = require('kue');
+
+function KueQueue(options) {
+  this.options = options;
+  this.queue = null;
+}
+
+/**
+ * Get the Kue queue, creating it if needed.
+ *
+ * @returns {Queue}
+ */
+KueQueue.prototype.getQueue = function() {
+  if (!this.queue) this.queue = kue.createQueue(this.options);
+  return this.queue;
+};
+
+/**
+ * Create a job of the specified type; call `save()` on the result to add it to the queue.
+ *
+ * @param {String} type - The job type; typically the name of a hook
+ * @param {Object} data - Data to make available as `job.data` to the job's processor
+ * @returns {Job}
+ */
+KueQueue.prototype.createJob = function(type, data) {
+  return this.getQueue().createJob(type, data);
+};
+
+/**
+ * Process jobs of the specified type.
+ *
+ * @param {String} type - The job type
+ * @param {Number} [concurrency=1] - Number of jobs of this type to process at once
+ * @param {Function} fn - Called with `fn(job, done)` for each job
+ */
+KueQueue.prototype.process = function(type, concurrency, fn) {
+  var queue = this.getQueue();
+  queue.process.apply(queue, arguments);
+};
+
+/**
+ * Get the jobs of the specified type that are in the specified state.
+ *
+ * @param {String} type - The job type
+ * @param {String} state - 'inactive', 'delayed', 'active', 'complete' or 'failed'
+ * @param {Function} callback - Called with `callback(err, jobs)`
+ */
+KueQueue.prototype.getJobs = function(type, state, callback) {
+  this.getQueue();
+  kue.Job.rangeByType(type, state, 0, -1, 'asc', function(err, jobs) {
+    if (err) return callback(err);
+    jobs.forEach(function(job) {
+      job.failedAt = job.failed_at ? Number(job.failed_at) : null;
+    });
+    callback(null, jobs);
+  });
+};
+
+/**
+ * Register a callback for jobs of the specified type that have failed all of their attempts.
+ *
+ * @param {String} type - The job type
+ * @param {Function} fn - Called with `fn(job, errorMessage)`
+ */
+KueQueue.prototype.onFailed = function(type, fn) {
+  if (!this.failedHandlers) {
+    this.failedHandlers = {};
+    this.getQueue().on('job failed', this.handleJobEvent.bind(this, this.failedHandlers, 'failure_handled'));
+  }
+  addHandler(this.failedHandlers, type, fn);
+};
+
+/**
+ * Register a callback for jobs of the specified type that have completed.
+ *
+ * @param {String} type - The job type
+ * @param {Function} fn - Called with `fn(job)`
+ */
+KueQueue.prototype.onComplete = function(type, fn) {
+  if (!this.completeHandlers) {
+    this.completeHandlers = {};
+    this.getQueue().on('job complete', this.handleJobEvent.bind(this, this.completeHandlers, 'completion_handled'));
+  }
+  addHandler(this.completeHandlers, type, fn);
+};
+
+/**
+ * Handle Kue's `job failed` and `job complete` events.  These events are received by every process using the queue,
+ * so the job is flagged in Redis and only the first process to flag it calls the handlers.
+ *
+ * @param {Object} handlers - Arrays of handlers indexed by job type
+ * @param {String} flag - Name of the flag to set on the job
+ * @param {Number} id - ID of the job
+ * @param {String} [errorMessage] - Error from the last attempt of a failed job
+ */
+KueQueue.prototype.handleJobEvent = function(handlers, flag, id, errorMessage) {
+  kue.Job.get(id, function(err, job) {
+    if (err || !handlers[job.type]) return;
+    job.client.hsetnx(job.client.getKey('job:' + job.id), flag, Date.now(), function(err, isFirst) {
+      if (err || !isFirst) return;
+      handlers[job.type].forEach(function(handler) {
+        handler(job, errorMessage);
+      });
+    });
+  });
+};
+
+/**
+ * Count the jobs of the specified type in each state.
+ *
+ * @param {String} type - The job type
+ * @param {Function} callback - Called with `callback(err, counts)` where counts has `inactive`, `active`, `failed` and `delayed` properties
+ */
+KueQueue.prototype.getJobCounts = function(type, callback) {
+  var queue = this.getQueue();
+  var states = ['inactive', 'active', 'failed', 'delayed'];
+  var counts = {};
+  var remaining = states.length;
+  var failed = false;
+  states.forEach(function(state) {
+    queue.cardByType(type, state, function(err, count) {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+      counts[state] = count;
+      if (!--remaining) callback(null, counts);
+    });
+  });
+};
+
+/**
+ * Stop taking new jobs, and wait for active jobs to finish.
+ *
+ * @param {Number} timeout - Milliseconds to wait for active jobs before failing them
+ * @param {Function} callback - Called with `callback(err)` once the queue has shut down
+ */
+KueQueue.prototype.shutdown = function(timeout, callback) {
+  if (!this.queue) return setImmediate(callback, null);
+  this.queue.shutdown(timeout, function(err) {
+    callback(err ? new Error(err) : null);
+  });
+};
+
+function addHandler(handlers, type, fn) {
+  if (!handlers[type]) handlers[type] = [];
+  handlers[type].push(fn);
+}
+
+module.exports = KueQueue;
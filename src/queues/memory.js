@@ -0,0 +1,391 @@
+/**
+ * Queue adapter that runs jobs within the current process; no Redis is needed.
+ * Useful for tests and for small deployments where losing queued jobs on restart is acceptable.
+ *
+ *     var WebhooksServices = require('layer-webhooks-services');
+ *     var queue = new WebhooksServices.MemoryQueue();
+ *
+ *     var lws = new WebhooksServices({
+ *       token: process.env.LAYER_BEARER_TOKEN,
+ *       appId: process.env.LAYER_APP_ID,
+ *       queue: queue
+ *     });
+ *
+ *     queue.process('Message Read Monitor', 5, function(job, done) {
+ *       handleReadMessageEvents(job.data);
+ *       done();
+ *     });
+ *
+ * Jobs support the same `delay`, `attempts`, `backoff` and `ttl` options as Kue jobs.  A job that is created
+ * before its type has a processor waits until `process()` is called for that type.
+ *
+ * As everything is kept in memory, retained jobs are capped for each job type: once a type has `maxFailed` failed jobs,
+ * the oldest is dropped as another fails, and once `maxUnprocessed` jobs are waiting for a type that has no processor,
+ * such as the `<name>:dead` jobs of dead-lettering, the oldest is dropped as another arrives.
+ *
+ * @class
+ * @param {Object} [options]
+ * @param {Number} [options.maxFailed=1000] - Maximum number of failed jobs to keep for each job type
+ * @param {Number} [options.maxUnprocessed=1000] - Maximum number of jobs to keep for each job type that has no processor
+ */
+var nextId = 1;
+
+function MemoryQueue(options) {
+  options = options || {};
+  this.maxFailed = options.maxFailed === undefined ? 1000 : options.maxFailed;
+  this.maxUnprocessed = options.maxUnprocessed === undefined ? 1000 : options.maxUnprocessed;
+  this.processors = {};
+  this.pending = {};
+  this.failed = {}; // Failed jobs of each type, from oldest to newest
+  this.failedHandlers = {};
+  this.completeHandlers = {};
+  this.jobs = {};
+  this.shuttingDown = false;
+  this.onIdle = null;
+}
+
+/**
+ * Create a job of the specified type; call `save()` on the result to add it to the queue.
+ *
+ * @param {String} type - The job type; typically the name of a hook
+ * @param {Object} data - Data to make available as `job.data` to the job's processor
+ * @returns {MemoryJob}
+ */
+MemoryQueue.prototype.createJob = function(type, data) {
+  return new MemoryJob(this, type, data);
+};
+
+/**
+ * Process jobs of the specified type.
+ *
+ * @param {String} type - The job type
+ * @param {Number} [concurrency=1] - Number of jobs of this type to process at once
+ * @param {Function} fn - Called with `fn(job, done)` for each job
+ */
+MemoryQueue.prototype.process = function(type, concurrency, fn) {
+  if (typeof concurrency === 'function') {
+    fn = concurrency;
+    concurrency = 1;
+  }
+  this.processors[type] = {
+    fn: fn,
+    concurrency: concurrency || 1,
+    active: 0
+  };
+  this.run(type);
+};
+
+/**
+ * Register a callback for jobs of the specified type that have failed all of their attempts.
+ *
+ * @param {String} type - The job type
+ * @param {Function} fn - Called with `fn(job, error)`
+ */
+MemoryQueue.prototype.onFailed = function(type, fn) {
+  addHandler(this.failedHandlers, type, fn);
+};
+
+/**
+ * Register a callback for jobs of the specified type that have completed.
+ *
+ * @param {String} type - The job type
+ * @param {Function} fn - Called with `fn(job)`
+ */
+MemoryQueue.prototype.onComplete = function(type, fn) {
+  addHandler(this.completeHandlers, type, fn);
+};
+
+/**
+ * Get the jobs of the specified type that are in the specified state.  Completed jobs are not kept.
+ *
+ * @param {String} type - The job type
+ * @param {String} state - 'inactive', 'delayed', 'active' or 'failed'
+ * @param {Function} callback - Called with `callback(err, jobs)`
+ */
+MemoryQueue.prototype.getJobs = function(type, state, callback) {
+  var jobs = this.jobs;
+  var result = Object.keys(jobs).map(function(id) {
+    return jobs[id];
+  }).filter(function(job) {
+    return job.type === type && job.state === state;
+  });
+  setImmediate(callback, null, result);
+};
+
+/**
+ * Count the jobs of the specified type in each state.
+ *
+ * @param {String} type - The job type
+ * @param {Function} callback - Called with `callback(err, counts)` where counts has `inactive`, `active`, `failed` and `delayed` properties
+ */
+MemoryQueue.prototype.getJobCounts = function(type, callback) {
+  var jobs = this.jobs;
+  var counts = {inactive: 0, active: 0, failed: 0, delayed: 0};
+  Object.keys(jobs).forEach(function(id) {
+    var job = jobs[id];
+    if (job.type === type && job.state in counts) counts[job.state]++;
+  });
+  setImmediate(callback, null, counts);
+};
+
+/**
+ * Add a job to the queue after waiting for the specified delay.
+ *
+ * @param {MemoryJob} job
+ * @param {Number} delay - Milliseconds to wait
+ */
+MemoryQueue.prototype.schedule = function(job, delay) {
+  var queue = this;
+  this.jobs[job.id] = job;
+  if (delay > 0) {
+    job.state = 'delayed';
+    if (this.shuttingDown) return;
+    job.timer = setTimeout(function() {
+      job.timer = null;
+      queue.enqueue(job);
+    }, delay);
+  } else {
+    this.enqueue(job);
+  }
+};
+
+/**
+ * Remove a job from the queue.
+ *
+ * @param {MemoryJob} job
+ */
+MemoryQueue.prototype.remove = function(job) {
+  var pending = this.pending[job.type];
+  var failed = this.failed[job.type];
+  if (job.timer) clearTimeout(job.timer);
+  if (pending && pending.indexOf(job) !== -1) pending.splice(pending.indexOf(job), 1);
+  if (failed && failed.indexOf(job) !== -1) failed.splice(failed.indexOf(job), 1);
+  delete this.jobs[job.id];
+};
+
+/**
+ * Stop starting jobs, and wait for active jobs to finish.  Jobs that have not started are left in the queue
+ * and are lost when the process exits.
+ *
+ * @param {Number} timeout - Milliseconds to wait for active jobs
+ * @param {Function} callback - Called with `callback(err)` once active jobs have finished or the timeout has passed
+ */
+MemoryQueue.prototype.shutdown = function(timeout, callback) {
+  var queue = this;
+  var timer;
+  this.shuttingDown = true;
+  Object.keys(this.jobs).forEach(function(id) {
+    var job = queue.jobs[id];
+    if (job.timer) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+  });
+
+  this.onIdle = function() {
+    clearTimeout(timer);
+    queue.onIdle = null;
+    callback(null);
+  };
+  if (!this.getActiveCount()) return this.onIdle();
+  timer = setTimeout(function() {
+    var count = queue.getActiveCount();
+    queue.onIdle = null;
+    callback(new Error('Shutdown timed out with ' + count + ' active jobs'));
+  }, timeout);
+};
+
+/**
+ * Get the number of jobs that are running.
+ *
+ * @returns {Number}
+ */
+MemoryQueue.prototype.getActiveCount = function() {
+  var processors = this.processors;
+  return Object.keys(processors).reduce(function(sum, type) {
+    return sum + processors[type].active;
+  }, 0);
+};
+
+MemoryQueue.prototype.enqueue = function(job) {
+  var pending = this.pending[job.type] = this.pending[job.type] || [];
+  job.state = 'inactive';
+  pending.push(job);
+  if (!this.processors[job.type] && pending.length > this.maxUnprocessed) this.remove(pending[0]);
+  this.run(job.type);
+};
+
+/**
+ * Start as many of the pending jobs of the specified type as its processor's concurrency allows.
+ *
+ * @param {String} type - The job type
+ */
+MemoryQueue.prototype.run = function(type) {
+  var processor = this.processors[type];
+  var pending = this.pending[type];
+  while (!this.shuttingDown && processor && pending && pending.length && processor.active < processor.concurrency) {
+    this.runJob(processor, pending.shift());
+  }
+};
+
+MemoryQueue.prototype.runJob = function(processor, job) {
+  var queue = this;
+  var finished = false;
+  var timeout;
+  processor.active++;
+  job.state = 'active';
+  job.attemptsMade++;
+  if (job.ttlMs) {
+    timeout = setTimeout(function() {
+      done(new Error('TTL exceeded'));
+    }, job.ttlMs);
+  }
+
+  function done(err) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout);
+    processor.active--;
+    if (err) {
+      queue.fail(job, err);
+    } else {
+      job.state = 'complete';
+      delete queue.jobs[job.id];
+      callHandlers(queue.completeHandlers[job.type], job);
+    }
+    queue.run(job.type);
+    if (queue.onIdle && !queue.getActiveCount()) queue.onIdle();
+  }
+
+  try {
+    processor.fn(job, done);
+  } catch (e) {
+    done(e);
+  }
+};
+
+/**
+ * Retry a failed job if it has attempts remaining; otherwise keep it as failed, dropping the oldest failed job
+ * of its type if there are more than `maxFailed`.
+ *
+ * @param {MemoryJob} job
+ * @param {Error} err - The error the job failed with
+ */
+MemoryQueue.prototype.fail = function(job, err) {
+  job.error = err;
+  if (job.attemptsMade < job.maxAttempts) {
+    this.schedule(job, job.getBackoffDelay());
+  } else {
+    var failed = this.failed[job.type] = this.failed[job.type] || [];
+    job.state = 'failed';
+    job.failedAt = Date.now();
+    failed.push(job);
+    if (failed.length > this.maxFailed) this.remove(failed[0]);
+    callHandlers(this.failedHandlers[job.type], job, err);
+  }
+};
+
+/**
+ * A job created by a MemoryQueue.
+ *
+ * @class
+ * @param {MemoryQueue} queue
+ * @param {String} type
+ * @param {Object} data
+ */
+function MemoryJob(queue, type, data) {
+  this.queue = queue;
+  this.id = nextId++;
+  this.type = type;
+  this.data = data;
+  this.state = null;
+  this.error = null;
+  this.failedAt = null;
+  this.timer = null;
+  this.attemptsMade = 0;
+  this.maxAttempts = 1;
+  this.delayMs = 0;
+  this.ttlMs = 0;
+  this.backoffOptions = null;
+}
+
+/**
+ * @param {Number} delay - Milliseconds to wait before running the job
+ */
+MemoryJob.prototype.delay = function(delay) {
+  this.delayMs = delay;
+  return this;
+};
+
+/**
+ * @param {Number} attempts - Maximum number of times to run the job before it is failed
+ */
+MemoryJob.prototype.attempts = function(attempts) {
+  this.maxAttempts = attempts;
+  return this;
+};
+
+/**
+ * @param {Boolean|Object} backoff - `true` to wait the job's delay between attempts, or `{type: 'fixed'|'exponential', delay: ms}`
+ */
+MemoryJob.prototype.backoff = function(backoff) {
+  this.backoffOptions = backoff;
+  return this;
+};
+
+/**
+ * @param {Number} ttl - Milliseconds an attempt may run before it is failed
+ */
+MemoryJob.prototype.ttl = function(ttl) {
+  this.ttlMs = ttl;
+  return this;
+};
+
+/**
+ * Get the number of milliseconds to wait before the next attempt at this job.
+ *
+ * @returns {Number}
+ */
+MemoryJob.prototype.getBackoffDelay = function() {
+  var backoff = this.backoffOptions;
+  if (!backoff) return 0;
+  if (backoff === true) return this.delayMs;
+  var delay = backoff.delay || this.delayMs;
+  if (backoff.type === 'exponential') return delay * Math.pow(2, this.attemptsMade - 1);
+  return delay;
+};
+
+/**
+ * Add the job to its queue.
+ *
+ * @param {Function} [callback] - Called with `callback(err)` once the job is saved
+ */
+MemoryJob.prototype.save = function(callback) {
+  this.queue.schedule(this, this.delayMs);
+  if (callback) setImmediate(callback, null);
+  return this;
+};
+
+/**
+ * Remove the job from its queue.
+ *
+ * @param {Function} [callback] - Called with `callback(err)` once the job is removed
+ */
+MemoryJob.prototype.remove = function(callback) {
+  this.queue.remove(this);
+  if (callback) setImmediate(callback, null);
+  return this;
+};
+
+function addHandler(handlers, type, fn) {
+  if (!handlers[type]) handlers[type] = [];
+  handlers[type].push(fn);
+}
+
+function callHandlers(handlers, job, err) {
+  (handlers || []).forEach(function(handler) {
+    handler(job, err);
+  });
+}
+
+module.exports = MemoryQueue;
@@ -0,0 +1,100 @@
+/**
+ * Create a check for the `quietHours` option of a receipts hook, which defers reports for recipients whose
+ * local time is within their quiet hours until the quiet hours end.
+ *
+ *     quietHours: {
+ *       // Local time at which quiet hours start and end; quiet hours may span midnight
+ *       start: '22:00',
+ *       end: '07:00',
+ *
+ *       // Path to the recipient's time zone within their Identity data, or a function called with
+ *       // `timezone(userId, identity)` that returns the time zone
+ *       timezone: 'metadata.timezone',
+ *
+ *       // Time zone for recipients whose time zone is unknown or not a valid IANA time zone name
+ *       defaultTimezone: 'America/Los_Angeles'
+ *     }
+ *
+ * Where daylight saving time starts or ends during quiet hours, reports may be deferred by an hour more or less
+ * than needed.
+ *
+ * @param {Object} policy - The `quietHours` option of the hook definition
+ * @param {String} name - Name of the hook; used in error messages
+ * @returns {Function} - Called with `getDelay(userId, identity, now)`, returns the number of ms to defer the recipient's
+ *                       report for, which is 0 outside of their quiet hours.  Its `usesIdentities` property is true
+ *                       if it needs the recipient's Identity data: if `timezone` is a path or a function.
+ */
+var DAY = 24 * 60 * 60;
+var formatters = {}; // Indexed by time zone
+
+module.exports = function(policy, name) {
+  var start = parseTime(policy.start, name);
+  var end = parseTime(policy.end, name);
+  var defaultTimezone = policy.defaultTimezone || 'UTC';
+  if (!getFormatter(defaultTimezone)) throw new Error(name + ': quietHours.defaultTimezone is not a valid time zone: ' + defaultTimezone);
+
+  function getDelay(userId, identity, now) {
+    var timezone = getTimezone(userId, identity);
+    var seconds = getLocalSeconds(now || new Date(), getFormatter(timezone) ? timezone : defaultTimezone);
+    if (!isQuiet(seconds)) return 0;
+    return ((end - seconds + DAY) % DAY) * 1000;
+  }
+  getDelay.usesIdentities = typeof policy.timezone === 'string' || typeof policy.timezone === 'function';
+  return getDelay;
+
+  function getTimezone(userId, identity) {
+    if (typeof policy.timezone === 'function') return policy.timezone(userId, identity);
+    if (!policy.timezone) return defaultTimezone;
+    return policy.timezone.split('.').reduce(function(value, property) {
+      return value ? value[property] : undefined;
+    }, identity);
+  }
+
+  function isQuiet(seconds) {
+    if (start < end) return seconds >= start && seconds < end;
+    return start !== end && (seconds >= start || seconds < end);
+  }
+};
+
+/**
+ * Parse a time such as '22:00' into seconds since midnight.
+ */
+function parseTime(time, name) {
+  var match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(name + ': quietHours.start and quietHours.end must be times such as \'22:00\'');
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60;
+}
+
+/**
+ * Get a formatter for the local time in a time zone.
+ *
+ * @param {String} timezone - IANA time zone name such as 'America/New_York'
+ * @returns {Intl.DateTimeFormat} - null if the time zone is not valid
+ */
+function getFormatter(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return null;
+  if (!(timezone in formatters)) {
+    try {
+      formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (err) {
+      formatters[timezone] = null;
+    }
+  }
+  return formatters[timezone];
+}
+
+function getLocalSeconds(time, timezone) {
+  var parts = {};
+  getFormatter(timezone).formatToParts(time).forEach(function(part) {
+    parts[part.type] = Number(part.value);
+  });
+  return (parts.hour % 24) * 3600 + parts.minute * 60 + parts.second;
+}
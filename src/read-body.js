@@ -0,0 +1,29 @@
+/**
+ * Read the body of a Node request, for servers that have not already read it.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {Number} limit - Maximum size of the body in bytes; larger bodies are rejected with an error whose `status` is 413
+ * @returns {Promise} - Resolves with the body as a Buffer
+ */
+module.exports = function(req, limit) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    req.on('data', function(chunk) {
+      size += chunk.length;
+      if (size > limit) {
+        var err = new Error('Request body exceeds ' + limit + ' bytes');
+        err.status = 413;
+        req.removeAllListeners('data');
+        req.resume();
+        reject(err);
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', function() {
+      resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+};
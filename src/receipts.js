@@ -29,10 +29,42 @@
  *       });
  *     });
  *
+ * To escalate over time, provide `stages` instead of `delay` and `reportForStatus`.  Each stage creates jobs with its own name,
+ * and its delay is measured from when the Message was sent.  Once no recipient remains in a status reported by any of
+ * the remaining stages, the remaining stages are skipped:
+ *
+ *     receipts: {
+ *       stages: [
+ *         {name: 'Unread Push', delay: '10 minutes', reportForStatus: ['sent', 'delivered']},
+ *         {name: 'Unread Email', delay: '2 hours', reportForStatus: ['sent', 'delivered']},
+ *         {name: 'Undelivered Page', delay: '1 day', reportForStatus: ['sent']}
+ *       ]
+ *     }
+ *
+ * To notify each recipient once about all of their unread Messages, rather than once per Message, use `digest`.  Flagged
+ * Messages are collected for each recipient, and once the `window` has passed since the first of them, a single job is
+ * created for that recipient:
+ *
+ *     receipts: {
+ *       delay: '10 minutes',
+ *       reportForStatus: ['sent', 'delivered'],
+ *       digest: {window: '1 hour'}
+ *     }
+ *
+ * So that people aren't notified in the middle of the night, use `quietHours`; checks for recipients whose local time is
+ * within their quiet hours are deferred until the quiet hours end, and only report those still in a reported status.
+ * See quiet-hours.js for the options:
+ *
+ *     receipts: {
+ *       delay: '10 minutes',
+ *       reportForStatus: ['sent', 'delivered'],
+ *       quietHours: {start: '22:00', end: '07:00', timezone: 'metadata.timezone'}
+ *     }
+ *
  * NOTE: This service ignores Messages sent by the Platform API where `sender.name` is used rather
  * than `sender.user_id`.
  *
- * @param {Redis} redis - This is passed in via bind and does not need to be passed into calls to this module
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
  * @param {Express App} options.expressApp - An instance of an express app; needed to create .get() and .post() listeners for the webhook requests
  * @param {String} options.secret - String known only to your company for use validating
  *                          that requests to your webhook endpoints come from authorized sources.
@@ -47,44 +79,119 @@
  *                             Possible values are 'sent', 'delivered', 'read'.  ['sent'] will report on all recipients who are still in
  *                            'sent' state for triggering "undelivered" processing.  ['sent', 'delivered'] will report on all users who are either
  *                            'sent' OR 'delivered' meaning anyone who hasn't read the Message.
+ * @param {Object[]} [options.hooks.receipts.stages] - Stages to use instead of `delay` and `reportForStatus`, in order of their delay
+ * @param {String} options.hooks.receipts.stages.name - Job name for this stage's reports
+ * @param {String|Number} options.hooks.receipts.stages.delay - Time from the sending of the Message to this stage
+ * @param {String[]} options.hooks.receipts.stages.reportForStatus - Report on all recipients whose state matches any of these states
+ * @param {Object|Boolean} [options.hooks.receipts.stages.digest] - Overrides `options.hooks.receipts.digest` for this stage
+ * @param {Object|Boolean} [options.hooks.receipts.digest] - Create a single job for each recipient covering all of their flagged Messages; true to use the defaults
+ * @param {String|Number} [options.hooks.receipts.digest.window='1h'] - How long to collect Messages for, starting from the first Message flagged for the recipient
+ * @param {Object} [options.hooks.receipts.quietHours] - Defer reports for recipients within their quiet hours; see quiet-hours.js
+ * @param {Object|Boolean} [options.hooks.receipts.stages.quietHours] - Overrides `options.hooks.receipts.quietHours` for this stage; false for none
  * @param {Boolean|Function} [options.hooks.receipts.identities=false] - If false, do nothing.
  *                                                                    If true, include Identity data from the Layer Identity Server for the sender and each Recipient.
  *                                                                    If a function, use the Function to get Identity data.
+ *                                                                    Identities are cached by `services.identityCache` (see identities.js).
  * @param {string} options.hooks.recipients.identities.userId - String representing the userId
  * @param {string} options.hooks.recipients.identities.callback - Callback for providing the user data: `callback(null, {name: 'frodo'})`
+ * @param {Number} [options.hooks.attempts=10] - Number of times to try processing your job before giving up; also used for
+ *                                              the receipts checks and digests that create your jobs
+ * @param {Object} [options.hooks.backoff={type: 'exponential', delay: 1000}] - How long to wait between attempts at your job,
+ *                                                                            and at receipts checks and digests
+ * @param {String|Number} [options.hooks.timeout] - Fail any attempt at your job, or at a receipts check or digest, that takes
+ *                                                  longer than this
+ * @param {Boolean} [options.hooks.deadLetter=true] - Once your job has failed all of its attempts, create a job named `<options.hooks.name>:dead`
+ * @param {String} [options.keyPrefix='layer-webhooks-'] - Prefix for the keys the receipts are stored with
+ * @param {String|Number|Boolean} [options.sweepInterval='1h'] - How often to look for stored receipts that will never expire; false to never look
+ *
+ * Each Message is stored in `services.receiptsStore` until its last delayed check runs.  In case a check is lost (for example
+ * if the queue's data is flushed), Messages are stored with a TTL of the last delay plus RECEIPTS_TTL_MARGIN, and the store
+ * is swept every `sweepInterval` for Messages stored without a TTL.  Hooks with quiet hours store Messages for up to
+ * MAX_QUIET_HOURS longer, and Messages with deferred checks are left for their TTL to remove.
  *
  * Your jobs.data will contain:
  * @param {String[]} recipients - Array of recipients who match the `states` you passed in
  * @param {Object} message - A full REST Message object for the Message that has at least one recipient matching the `states`.
+ * @param {Object} identities - Identity data for the sender and each recipient, indexed by user ID, if `identities` is enabled;
+ *                              null for any whose lookup failed
+ * @param {Object} identityErrors - Error message for each user ID whose identity could not be looked up
+ * @param {String} [deferredUntil] - If the report was deferred due to quiet hours, the time it was deferred until;
+ *                                   recipients with different quiet hours get separate jobs.  A deferred report
+ *                                   is skipped for recipients that a later stage has since become due for.
+ * @param {String} stage - Name of the stage; the same as the job name
+ *
+ * Jobs for digests instead contain:
+ * @param {String} recipient - User ID of the recipient
+ * @param {Object} identity - Identity data for the recipient if `identities` is enabled, otherwise null
+ * @param {Object} identityErrors - The error message, indexed by the recipient's user ID, if their identity could not be looked up
+ * @param {String} [deferredUntil] - If the digest was deferred due to quiet hours, the time it was deferred until
+ * @param {Object[]} conversations - The flagged Messages, grouped by Conversation in the order they were flagged;
+ *                                   each has a `conversation` with the Conversation's `id` and `url`, and an array of `messages`
+ * @param {String} stage - Name of the stage; the same as the job name
  */
 
 var ms = require('ms');
+var getDuration = require('./duration');
 var listen = require('./listen');
-var queue = require('kue').createQueue();
-var Debug = require('debug');
-var REDIS_PREFIX = 'layer-webhooks-';
+var deadLetter = require('./dead-letter');
+var Metrics = require('./metrics');
+var Logger = require('./logger');
+var MemoryStore = require('./stores/memory');
+var IdentityCache = require('./identities');
+var createQuietHours = require('./quiet-hours');
+var KEY_PREFIX = 'layer-webhooks-';
+
+// Receipts outlive their delay by this long, giving the delayed check time for its retries and for any queue backlog
+var RECEIPTS_TTL_MARGIN = ms('1h');
+
+var DEFAULT_DIGEST_WINDOW = ms('1h');
+
+// Checks and digests deferred by quiet hours run at most this long after they were due
+var MAX_QUIET_HOURS = ms('1d');
 
-module.exports = function(layerClient, redis, options) {
+module.exports = function(services, options) {
+  var queue = services.queue;
+  var identityCache = services.identityCache || new IdentityCache(services.layerClient);
+  var store = services.receiptsStore || new MemoryStore();
+  var keyPrefix = options.keyPrefix || KEY_PREFIX;
+  var sweepInterval = getDuration(options.sweepInterval, '1h');
+  var metrics = services.metrics || new Metrics();
+  var trackJobs = Boolean(options.metrics || services.jobMetrics);
+  var logger = services.logger || new Logger();
 
   var originalHooks = options.hooks;
   options.hooks = options.hooks.map(function(hook) {
+    var stages = getStages(hook);
     return {
       name: hook.name + ':receipts',
       originalName: hook.name,
       path: hook.path,
       events: hook.events,
+      dedupe: hook.dedupe,
       receipts: {
-        delay: ms(hook.delay),
-        reportForStatus: hook.receipts.reportForStatus,
-        identities: hook.receipts.identities
+        stages: stages,
+        ttl: stages[stages.length - 1].delay + (hasQuietHours(stages) ? MAX_QUIET_HOURS : 0) + RECEIPTS_TTL_MARGIN,
+        identities: hook.receipts.identities,
+        attempts: hook.attempts || 10,
+        backoff: hook.backoff || {type: 'exponential', delay: 1000},
+        timeout: getDuration(hook.timeout),
+        deadLetter: hook.deadLetter !== false
       }
     };
   });
 
-  listen(options);
+  listen(services, options);
 
   options.hooks.forEach(function(hook) {
-    var logger = Debug('layer-webhooks-services:' + hook.name.replace(/\s/g,'-'));
+    var hookLogger = logger.child({hook: hook.originalName});
+    var stages = hook.receipts.stages;
+    stages.forEach(function(stage) {
+      if (hook.receipts.deadLetter) deadLetter(queue, stage.name, hookLogger);
+      if (trackJobs) metrics.trackJobs(queue, stage.name);
+    });
+
+    var hookPrefix = keyPrefix + hook.name + '-';
+    if (sweepInterval) startSweeper(hookPrefix, hook.receipts.ttl, hookLogger);
 
     /**
      * Process each webhook event
@@ -93,29 +200,26 @@ module.exports = function(layerClient, redis, options) {
       try {
         var event = job.data;
         var message = event.message;
+        var jobLogger = hookLogger.child(Logger.getJobFields(job));
         if (message.sender.name) return done();
         switch (event.type) {
-          // Store the new message data and schedule a job to check the delivery status in 15 minutes
+          // Store the new message data and schedule a job to check the delivery status once the first stage's delay has passed
           case 'message.sent':
-              redis.set(REDIS_PREFIX + hook.name + '-' +  message.id, JSON.stringify(message));
-              queue.createJob(hook.name + ' delayed-job', {
-                title: 'Process undelivered message',
-                messageId: message.id
-              }).delay(hook.receipts.delay).attempts(10).backoff( {type:'exponential', delay: 1000} )
-              .save(function(err) {
-                if (err) console.error(new Date().toLocaleString() + ': ' + hook.name + ': Unable to create Kue process: ', err );
-              });
+              storeMessage(message, jobLogger);
+              scheduleCheck(message.id, event.eventId, 0, stages[0].delay, null, jobLogger);
               break;
 
           // Update the message data
           case 'message.delivered':
           case 'message.read':
-            redis.set(REDIS_PREFIX + hook.name + '-' + message.id, JSON.stringify(message));
+            storeMessage(message, jobLogger);
             break;
 
-          // Delete the Message data; redis.get will fail for this item.
+          // Delete the Message data; store.get will fail for this item.
           case 'message.deleted':
-            redis.del(REDIS_PREFIX + hook.name + '-' + message.id);
+            store.del(hookPrefix + message.id, function(err) {
+              if (err) jobLogger.error('Unable to delete Message', {err: err});
+            });
             break;
         }
       } finally {
@@ -124,71 +228,405 @@ module.exports = function(layerClient, redis, options) {
     });
 
     /**
-     * For each undelivered message retrieve the message from redis, and if not yet deleted,
-     * process the message.
+     * For each undelivered message retrieve the message from the store, and if not yet deleted,
+     * process the message for the job's stage and schedule the next stage that still has recipients
+     * to report on.  Jobs scheduled before stages were supported have no stage, and are for the first stage.
+     * Checks deferred by quiet hours have the `recipients` they were deferred for, and only report on those.
      */
     queue.process(hook.name + ' delayed-job', function(job, done) {
       var messageId = job.data.messageId;
-      logger('Processing ' + messageId);
-      redis.get(REDIS_PREFIX + hook.name + '-' +  messageId, function (err, reply) {
+      var stageIndex = job.data.stage || 0;
+      var stage = stages[stageIndex];
+      var jobLogger = hookLogger.child({eventId: job.data.eventId, messageId: messageId, jobId: job.id});
+      if (!stage) {
+        jobLogger.warn('Ignoring receipts check for stage ' + stageIndex + ', which is no longer configured');
+        return done();
+      }
+      jobLogger = jobLogger.child({stage: stage.name});
+      jobLogger.debug('Checking receipts');
+      store.get(hookPrefix + messageId, function (err, reply) {
         try {
-          if (reply) {
-            processMessage(JSON.parse(reply));
-            redis.del(REDIS_PREFIX + hook.name + '-' + messageId);
+          if (err) jobLogger.error('Unable to get Message', {err: err});
+          if (!reply) return;
+          var message = JSON.parse(reply);
+          if (job.data.recipients) return processDeferred(message, stageIndex, job.data, jobLogger);
+
+          var nextIndex = getNextStage(message, stageIndex);
+          if (nextIndex !== -1) {
+            scheduleCheck(messageId, job.data.eventId, nextIndex, stages[nextIndex].delay - stage.delay, null, jobLogger);
           }
+
+          // Messages with deferred checks are left for their TTL to remove
+          processMessage(message, stageIndex, job.data.eventId, jobLogger, function(deferredCount) {
+            if (nextIndex === -1 && !deferredCount) store.del(hookPrefix + messageId);
+          });
         } finally {
           done();
         }
       });
     });
 
-    function getUserFromIdentities(userId, callback) {
-      layerClient.identities.get(userId, function(err, response) {
-        var identity = err ? null : response.body;
-        callback(err, identity);
+    /**
+     * Schedule a receipts check for a stage.
+     *
+     * @param {String} messageId
+     * @param {String} eventId
+     * @param {Number} stageIndex
+     * @param {Number} delay - Milliseconds to wait before checking
+     * @param {Object} [deferred] - For checks deferred by quiet hours, the `recipients` to check and the `deferredUntil` time
+     * @param {Logger} jobLogger
+     */
+    function scheduleCheck(messageId, eventId, stageIndex, delay, deferred, jobLogger) {
+      var data = {
+        title: 'Process undelivered message',
+        eventId: eventId,
+        messageId: messageId,
+        stage: stageIndex
+      };
+      if (deferred) {
+        data.recipients = deferred.recipients;
+        data.deferredUntil = deferred.deferredUntil;
+      }
+      var delayedJob = createHookJob(hook.name + ' delayed-job', data).delay(delay).save(function(err) {
+        if (err) jobLogger.error('Unable to create job', {err: err});
+        else jobLogger.debug('Scheduled receipts check', {delayedJobId: delayedJob.id, nextStage: stages[stageIndex].name, deferredUntil: data.deferredUntil});
       });
     }
 
     /**
-     * Process an individual Message and create a job if there
-     * are matching recipients.
+     * Create the digest for a recipient once its window has passed.  If the recipient is within their quiet hours,
+     * the digest is rescheduled for when they end, and Messages flagged in the meantime are added to it.
      */
-    function processMessage(message) {
-      var recipients = Object.keys(message.recipient_status).filter(function(userId) {
-        return hook.receipts.reportForStatus.indexOf(message.recipient_status[userId]) !== -1;
+    queue.process(hook.name + ' digest', function(job, done) {
+      var stage = stages[job.data.stage];
+      var userId = job.data.userId;
+      var jobLogger = hookLogger.child({jobId: job.id, userId: userId});
+      if (!stage) {
+        jobLogger.warn('Ignoring digest for stage ' + job.data.stage + ', which is no longer configured');
+        return done();
+      }
+      jobLogger = jobLogger.child({stage: stage.name});
+      if (!stage.quietHours || job.data.deferredUntil) {
+        takeDigest(stage, userId, job.data.deferredUntil, jobLogger);
+        return done();
+      }
+
+      getReportDelays(stage, [userId], jobLogger, function(delays) {
+        try {
+          if (delays[userId]) {
+            scheduleDigest(stage, userId, delays[userId], new Date(Date.now() + delays[userId]).toISOString(), jobLogger);
+          } else {
+            takeDigest(stage, userId, null, jobLogger);
+          }
+        } finally {
+          done();
+        }
       });
+    });
 
-      if (recipients.length) {
-        var identities = [message.sender.user_id].concat(recipients);
-        var identityHash = {};
+    function takeDigest(stage, userId, deferredUntil, jobLogger) {
+      store.take(getDigestKey(stage, userId), function(err, values) {
+        if (err) return jobLogger.error('Unable to get digest', {err: err});
+        if (!values.length) return;
+        var messages = values.map(function(value) {
+          return JSON.parse(value);
+        });
         if (!hook.receipts.identities) {
-          createJob(message, recipients, {});
+          createDigestJob(stage, userId, messages, null, {}, deferredUntil, jobLogger);
         } else {
-          if (!(hook.receipts.identities instanceof Function)) {
-            hook.receipts.identities = getUserFromIdentities;
-          }
-          var getUser = hook.receipts.identities;
-          var count = 0;
-          identities.forEach(function(userId) {
-            getUser(userId, function(err, data) {
-              identityHash[userId] = data;
-              count++;
-              if (count === identities.length) createJob(message, recipients, identityHash);
-            })
+          getIdentities([userId], jobLogger, function(identities, identityErrors) {
+            createDigestJob(stage, userId, messages, identities[userId], identityErrors, deferredUntil, jobLogger);
           });
         }
+      });
+    }
+
+    function getDigestKey(stage, userId) {
+      return hookPrefix + 'digest-' + stage.name + '-' + userId;
+    }
+
+    /**
+     * Add a flagged Message to a recipient's digest, scheduling the digest if it is the first Message in it.
+     */
+    function addToDigest(stage, userId, message, jobLogger) {
+      var window = stage.digest.window;
+      var ttl = window + (stage.quietHours ? MAX_QUIET_HOURS : 0) + RECEIPTS_TTL_MARGIN;
+      store.push(getDigestKey(stage, userId), JSON.stringify(message), ttl, function(err, length) {
+        if (err) return jobLogger.error('Unable to add Message to digest', {err: err, userId: userId});
+        if (length === 1) scheduleDigest(stage, userId, window, null, jobLogger);
+      });
+    }
+
+    /**
+     * Schedule the job that creates a recipient's digest.  Only the first Message added to a digest schedules it,
+     * so if the job can't be saved, the digest is dropped; otherwise no later Message would schedule it.
+     */
+    function scheduleDigest(stage, userId, delay, deferredUntil, jobLogger) {
+      var data = {
+        title: 'Create digest of flagged messages',
+        stage: stages.indexOf(stage),
+        userId: userId
+      };
+      if (deferredUntil) data.deferredUntil = deferredUntil;
+      var digestJob = createHookJob(hook.name + ' digest', data).delay(delay).save(function(err) {
+        if (!err) return jobLogger.debug('Scheduled digest', {userId: userId, digestJobId: digestJob.id, deferredUntil: deferredUntil});
+        jobLogger.error('Unable to create job; dropping digest', {err: err, userId: userId});
+        store.del(getDigestKey(stage, userId), function(err) {
+          if (err) jobLogger.error('Unable to drop digest', {err: err, userId: userId});
+        });
+      });
+    }
+
+    function createDigestJob(stage, userId, messages, identity, identityErrors, deferredUntil, jobLogger) {
+      var conversations = [];
+      var byId = {};
+      messages.forEach(function(message) {
+        var id = message.conversation.id;
+        if (!byId[id]) {
+          byId[id] = {conversation: message.conversation, messages: []};
+          conversations.push(byId[id]);
+        }
+        byId[id].messages.push(message);
+      });
+
+      saveReport(stage, {
+        recipient: userId,
+        identity: identity,
+        identityErrors: identityErrors,
+        conversations: conversations,
+        stage: stage.name
+      }, deferredUntil, 'Reporting digest of ' + messages.length + ' Messages', jobLogger);
+    }
+
+    /**
+     * Find the first stage after the specified one that has recipients to report on.  As recipients
+     * only move forward through the statuses, a stage with none now will have none later.
+     *
+     * @returns {Number} - Index of the stage, or -1 if there is none
+     */
+    function getNextStage(message, stageIndex) {
+      for (var i = stageIndex + 1; i < stages.length; i++) {
+        if (getRecipients(message, stages[i]).length) return i;
       }
+      return -1;
+    }
+
+    function storeMessage(message, jobLogger) {
+      store.set(hookPrefix + message.id, JSON.stringify(message), hook.receipts.ttl, function(err) {
+        if (err) jobLogger.error('Unable to store Message', {err: err});
+      });
     }
 
-    function createJob(message, recipients, identities) {
-      queue.createJob(hook.originalName, {
+    /**
+     * Get Identity data from the hook's `identities` function, or from Layer's Identity service if it is `true`.
+     */
+    function getIdentities(userIds, jobLogger, callback) {
+      var fetch = hook.receipts.identities instanceof Function ? hook.receipts.identities : null;
+      identityCache.getIdentities(userIds, fetch, function(identities, errors) {
+        var failed = Object.keys(errors);
+        if (failed.length) jobLogger.warn('Unable to get identities for ' + failed.length + ' users', {identityErrors: errors});
+        callback(identities, errors);
+      });
+    }
+
+    /**
+     * Process an individual Message for a stage, and create a job if there are matching recipients.
+     * Checks for recipients within their quiet hours are deferred until their quiet hours end, so that
+     * the recipients are checked against the Message as it is then.  Digests are deferred when they are due instead.
+     *
+     * @param {Object} message
+     * @param {Number} stageIndex
+     * @param {String} eventId
+     * @param {Logger} jobLogger
+     * @param {Function} callback - Called with `callback(deferredCount)`, the number of recipients whose checks were deferred
+     */
+    function processMessage(message, stageIndex, eventId, jobLogger, callback) {
+      var stage = stages[stageIndex];
+      jobLogger = jobLogger.child({conversationId: message.conversation ? message.conversation.id : undefined});
+      var recipients = getRecipients(message, stage);
+      if (!recipients.length || stage.digest || !stage.quietHours) {
+        reportRecipients(message, stage, recipients, null, jobLogger);
+        return callback(0);
+      }
+
+      getReportDelays(stage, recipients, jobLogger, function(delays) {
+        var groups = {};
+        recipients.forEach(function(userId) {
+          var delay = delays[userId];
+          (groups[delay] = groups[delay] || []).push(userId);
+        });
+        Object.keys(groups).forEach(function(delay) {
+          if (delay === '0') return reportRecipients(message, stage, groups[delay], null, jobLogger);
+          scheduleCheck(message.id, eventId, stageIndex, Number(delay), {
+            recipients: groups[delay],
+            deferredUntil: new Date(Date.now() + Number(delay)).toISOString()
+          }, jobLogger);
+        });
+        callback(recipients.length - (groups[0] ? groups[0].length : 0));
+      });
+    }
+
+    /**
+     * Process a Message for a check deferred by quiet hours.  Recipients are only reported on if they are still
+     * in a status the stage reports on, and a later stage that reports on them has not yet become due.
+     */
+    function processDeferred(message, stageIndex, data, jobLogger) {
+      var stage = stages[stageIndex];
+      var elapsed = Date.now() - new Date(message.sent_at).getTime();
+      var superseded = [];
+      stages.slice(stageIndex + 1).forEach(function(laterStage) {
+        if (laterStage.delay <= elapsed) superseded = superseded.concat(getRecipients(message, laterStage));
+      });
+      var recipients = getRecipients(message, stage).filter(function(userId) {
+        return data.recipients.indexOf(userId) !== -1 && superseded.indexOf(userId) === -1;
+      });
+      jobLogger = jobLogger.child({conversationId: message.conversation ? message.conversation.id : undefined});
+      reportRecipients(message, stage, recipients, data.deferredUntil, jobLogger);
+    }
+
+    /**
+     * Create the report on a Message's recipients, or add it to their digests.
+     */
+    function reportRecipients(message, stage, recipients, deferredUntil, jobLogger) {
+      if (recipients.length && stage.digest) {
+        recipients.forEach(function(userId) {
+          addToDigest(stage, userId, message, jobLogger);
+        });
+      } else if (recipients.length) {
+        if (!hook.receipts.identities) {
+          createJob(stage, message, recipients, {}, {}, deferredUntil, jobLogger);
+        } else {
+          getIdentities([message.sender.user_id].concat(recipients), jobLogger, function(identities, identityErrors) {
+            createJob(stage, message, recipients, identities, identityErrors, deferredUntil, jobLogger);
+          });
+        }
+      }
+    }
+
+    function createJob(stage, message, recipients, identities, identityErrors, deferredUntil, jobLogger) {
+      saveReport(stage, {
         message: message,
         recipients: recipients,
-        identities: identities
-      }).attempts(10).backoff( {type:'exponential', delay: 1000} )
-      .save(function(err) {
-        if (err) console.error(new Date().toLocaleString() + ': ' + hook.name + ': Unable to create Kue process: ', err );
+        identities: identities,
+        identityErrors: identityErrors,
+        stage: stage.name
+      }, deferredUntil, 'Reporting on ' + recipients.length + ' recipients', jobLogger);
+    }
+
+    /**
+     * Get how long to defer each recipient's report for due to the stage's quiet hours.
+     *
+     * @param {Object} stage
+     * @param {String[]} userIds
+     * @param {Logger} jobLogger
+     * @param {Function} callback - Called with `callback(delays)`, where delays has the ms to defer each user ID's report for
+     */
+    function getReportDelays(stage, userIds, jobLogger, callback) {
+      if (stage.quietHours.usesIdentities) {
+        getIdentities(userIds, jobLogger, function(identities) {
+          callback(getDelays(identities));
+        });
+      } else {
+        callback(getDelays({}));
+      }
+
+      function getDelays(identities) {
+        var delays = {};
+        var now = new Date();
+        userIds.forEach(function(userId) {
+          try {
+            delays[userId] = stage.quietHours(userId, identities[userId], now);
+          } catch (err) {
+            jobLogger.error('Unable to check quiet hours', {err: err, userId: userId});
+            delays[userId] = 0;
+          }
+        });
+        return delays;
+      }
+    }
+
+    /**
+     * Create a job with the hook's attempts, backoff and timeout.
+     */
+    function createHookJob(type, data) {
+      var job = queue.createJob(type, data).attempts(hook.receipts.attempts).backoff(hook.receipts.backoff);
+      if (hook.receipts.timeout) job.ttl(hook.receipts.timeout);
+      return job;
+    }
+
+    function saveReport(stage, data, deferredUntil, description, jobLogger) {
+      if (deferredUntil) data.deferredUntil = deferredUntil;
+      var job = createHookJob(stage.name, data);
+      job.save(function(err) {
+        if (err) return jobLogger.error('Unable to create job', {err: err});
+        jobLogger.info(description, {reportJobId: job.id, deferredUntil: deferredUntil});
+        metrics.inc('receipt_reports_total', {hook: hook.originalName});
       });
     }
   });
+
+  /**
+   * Get a hook's stages, with their delays in ms; a hook without `stages` has a single stage
+   * whose job name is the hook's name.
+   */
+  function getStages(hook) {
+    var stages = hook.receipts.stages || [{
+      name: hook.name,
+      delay: hook.receipts.delay || hook.delay,
+      reportForStatus: hook.receipts.reportForStatus
+    }];
+    if (!stages.length) throw new Error(hook.name + ': receipts.stages must have at least one stage');
+    var result = stages.map(function(stage) {
+      if (!stage.name) throw new Error(hook.name + ': Each of the receipts.stages needs a name');
+      return {
+        name: stage.name,
+        delay: getDuration(stage.delay),
+        reportForStatus: stage.reportForStatus,
+        digest: getDigest(stage.digest === undefined ? hook.receipts.digest : stage.digest),
+        quietHours: getQuietHours(stage.quietHours === undefined ? hook.receipts.quietHours : stage.quietHours, hook.name)
+      };
+    });
+    result.forEach(function(stage, index) {
+      if (index && stage.delay < result[index - 1].delay) throw new Error(hook.name + ': receipts.stages must be in order of their delay');
+    });
+    return result;
+  }
+
+  function getDigest(digest) {
+    if (!digest) return null;
+    return {
+      window: getDuration(digest.window || DEFAULT_DIGEST_WINDOW)
+    };
+  }
+
+  function getQuietHours(policy, name) {
+    return policy ? createQuietHours(policy, name) : null;
+  }
+
+  function hasQuietHours(stages) {
+    return stages.some(function(stage) {
+      return stage.quietHours;
+    });
+  }
+
+  function getRecipients(message, stage) {
+    return Object.keys(message.recipient_status).filter(function(userId) {
+      return stage.reportForStatus.indexOf(message.recipient_status[userId]) !== -1;
+    });
+  }
+
+  /**
+   * Periodically give stored receipts that have no expiry the hook's TTL, so that receipts whose
+   * delayed check is lost don't stay in the store forever.  Stops once the services are closed.
+   */
+  function startSweeper(prefix, ttl, hookLogger) {
+    var timer = setInterval(function() {
+      if (services.closing) return clearInterval(timer);
+      store.sweep(prefix, ttl, function(err, count) {
+        if (err) hookLogger.warn('Unable to sweep receipts', {err: err});
+        else if (count) hookLogger.info('Swept ' + count + ' receipts that had no expiry');
+      });
+    }, sweepInterval);
+    if (timer.unref) timer.unref();
+  }
 };
@@ -19,50 +19,312 @@
  *       ]
  *     });
  *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
  * @param {String} url - Base url for all of your webhooks
- * @param {WebhooksClient} webhooksClient - A Client created from the layer-webhooks npm module
- * @param {String} secret - String known only to your company for use validating
- *                          that requests to your webhook endpoints come from authorized sources.
+ * @param {String|String[]} secret - String known only to your company for use validating
+ *                          that requests to your webhook endpoints come from authorized sources.  If an array is
+ *                          provided (as it may be for listen() while changing secrets), the first secret is registered.
  * @param {Object[]} hooks - Array of webhook definitions
  * @param {String} hooks.name - A unique name or ID for your webhook; used to determine if the webhook already exists.
  *                              This name is an arbitrary string of your choice
  * @param {String[]} hooks.events - Any combination of 'message.sent', 'message.deleted', 'message.read', 'message.delivered', 'conversation.created', 'conversation.deleted', 'conversation.metadata_updated', 'conversation.participants_updated'
  * @param {String} hooks.path - Path extension to your url for listening to these webhooks
+ * @param {Boolean} [sync=false] - Reconcile the registered webhooks with your hook definitions: a webhook under your `url` whose name
+ *                                 matches a hook definition but whose path, events or secret differ is replaced with an up to date
+ *                                 registration.  Webhooks at other urls, such as those of another environment using the same app,
+ *                                 are never matched.
+ * @param {Boolean} [rotateSecret=false] - Only used with `sync`; replace every registered webhook whose secret can't be compared
+ *                                  because Layer did not list it, so that a new secret is registered.  Only set this while changing
+ *                                  your secret; otherwise each call replaces those webhooks again.
+ * @param {Boolean|String} [prune=false] - Only used with `sync`; delete any webhook registered under your `url` that does not match
+ *                                  any of your hook definitions (for example, hooks that were renamed or removed).  This assumes
+ *                                  that this call is given every hook served under `url`; if several calls share a `url`, each
+ *                                  would delete the others' webhooks.  In that case give each call a name prefix instead of
+ *                                  `true`, such as 'Receipts: ', and only webhooks whose name starts with it are deleted.
+ * @param {Boolean} [dryRun=false] - Make no changes to your webhooks; instead resolve with a plan of what would have been done.
+ * @param {Function} [callback] - Called with `callback(err, report)` once all webhooks have been registered, updated, enabled or deleted.
+ * @returns {Promise} - Resolves with the report (or plan) once all webhooks have been handled.  Rejects if the list of webhooks
+ *                      could not be loaded, or if any hook failed; in that case the error's `errors` property lists
+ *                      each failed hook's `name` and Layer `error`, and its `report` property has the full report.
+ *
+ *     layerHooks.register(options).then(function(report) {
+ *       startListening();
+ *     }, function(err) {
+ *       console.error(err.message);
+ *       process.exit(1);
+ *     });
+ *
+ * The report contains arrays named `created`, `updated`, `enabled`, `deleted`, `unchanged` and `failed`; each entry
+ * has the hook `name`, the webhook `id` and its `url`.  Entries in `updated` also list which `changes` were found,
+ * and entries in `failed` include the `error`.
+ *
+ * The plan generated by `dryRun` contains arrays named `register`, `update`, `enable`, `delete` and `leave` with the same
+ * entries as the report, and a `table` property with a printable summary of the plan:
+ *
+ *     layerHooks.register({url: url, secret: secret, hooks: hooks, dryRun: true}).then(function(plan) {
+ *       console.log(plan.table);
+ *       if (plan.delete.length) process.exit(1);
+ *     });
  */
-var Debug = require('debug');
-var logger = Debug('layer-webhooks-services');
-module.exports = function(webhooksClient, options) {
+var Logger = require('./logger');
+
+// Maps each type of action to the report property that lists it
+var REPORT_KEYS = {
+  create: 'created',
+  update: 'updated',
+  enable: 'enabled',
+  'delete': 'deleted',
+  none: 'unchanged'
+};
+
+// Maps each type of action to the dryRun plan property that lists it
+var PLAN_KEYS = {
+  create: 'register',
+  update: 'update',
+  enable: 'enable',
+  'delete': 'delete',
+  none: 'leave'
+};
+
+module.exports = function(services, options, callback) {
+  var webhooksClient = services.webhooksClient;
+  var logger = services.logger || new Logger();
   var hooks = options.hooks;
   var url = options.url.replace(/\:443$/,'');
   if (!url.match(/\/$/)) url += '/';
-  var secret = options.secret;
+  // While changing secrets, listen() may be given several; the first is the one to register
+  var secret = [].concat(options.secret)[0];
+  var sync = Boolean(options.sync);
+  var prune = sync && Boolean(options.prune);
+  var prunePrefix = typeof options.prune === 'string' ? options.prune : '';
+  var rotateSecret = sync && Boolean(options.rotateSecret);
   var currentHooks;
+  var report = {
+    created: [],
+    updated: [],
+    enabled: [],
+    deleted: [],
+    unchanged: [],
+    failed: []
+  };
+  var resolve, reject;
+  var promise = new Promise(function(_resolve, _reject) {
+    resolve = _resolve;
+    reject = _reject;
+  });
+  if (callback) {
+    promise.then(function(result) {
+      callback(null, result);
+    }, callback);
+  }
+
   hooks.forEach(function(hook) {
     hook.path = hook.path.replace(/^\//,'');
   });
 
   webhooksClient.list(function (err, res) {
-    if (err) return console.error('Failed to list webhooks: ', err);
+    if (err) {
+      logger.error('Failed to list webhooks', {err: err});
+      return reject(err);
+    }
     currentHooks = res.body;
-    hooks.forEach(registerHook);
+    if (options.dryRun) {
+      resolve(getPlan(getActions()));
+    } else {
+      runActions(getActions());
+    }
   });
 
+  return promise;
+
+  /**
+   * Determine what needs to be done to each webhook to match our hook definitions.
+   *
+   * @returns {Object[]} actions - Each action has a `type` ('create', 'update', 'enable', 'delete', 'none'),
+   *                               a `name` and the `hookDef` and/or Layer `webhook` it applies to.
+   */
+  function getActions() {
+    var claimed = [];
+    var actions = hooks.map(function(hookDef) {
+      var webhook = sync ? getNamedWebhook(hookDef) : getWebhook(hookDef);
+      if (webhook) claimed.push(webhook);
+      return getHookAction(hookDef, webhook);
+    });
+
+    if (prune) {
+      currentHooks.filter(function(webhook) {
+        return claimed.indexOf(webhook) === -1 && isUnderUrl(webhook) && getName(webhook).indexOf(prunePrefix) === 0;
+      }).forEach(function(webhook) {
+        actions.push({
+          type: 'delete',
+          name: getName(webhook),
+          webhook: webhook
+        });
+      });
+    }
+    return actions;
+  }
+
+  /**
+   * Determine what needs to be done for a single hook definition.
+   *
+   * @param {Object} hookDef -- A webhook definition object
+   * @param {Object} [webhook] -- The matching webhook object from Layer, if there is one
+   */
+  function getHookAction(hookDef, webhook) {
+    var action = {
+      name: hookDef.name,
+      hookDef: hookDef,
+      webhook: webhook
+    };
+    if (!webhook) {
+      action.type = 'create';
+    } else {
+      logger.debug('Webhook already registered: ' + webhook.status, {hook: hookDef.name, webhookId: webhook.id});
+      var changes = sync ? getChanges(hookDef, webhook) : [];
+      if (changes.length) {
+        action.type = 'update';
+        action.changes = changes;
+      } else {
+        action.type = webhook.status === 'active' ? 'none' : 'enable';
+      }
+    }
+    return action;
+  }
+
   /**
-   * Verify that the webhook is active; activate it if its not.
+   * List the properties of a registered webhook that no longer match its hook definition.
    *
    * @param {Object} hookDef -- A webhook definition object
    * @param {Object} webhook -- A webhook object from Layer
+   * @returns {String[]} - Any of 'url', 'events', 'secret'
+   */
+  function getChanges(hookDef, webhook) {
+    var changes = [];
+    if (webhook.target_url !== url + hookDef.path) changes.push('url');
+    if ((webhook.events || []).concat().sort().join(',') !== (hookDef.events || []).concat().sort().join(',')) changes.push('events');
+
+    // Layer does not always include the secret; if it doesn't, the secret can only be changed by replacing the webhook
+    if ('secret' in webhook ? webhook.secret !== secret : rotateSecret) changes.push('secret');
+    return changes;
+  }
+
+  /**
+   * Perform each action, and settle the promise with the report once they have all completed.
+   *
+   * @param {Object[]} actions -- Actions generated by getActions()
    */
-  function verifyWebhook(hookDef, webhook) {
-    logger(hookDef.name + ': Webhook already registered: ' + webhook.id + ': ' + webhook.status);
-    if (webhook.status !== 'active') {
-      logger(hookDef.name + ': Enabling webhook');
-      webhooksClient.enable(webhook.id);
+  function runActions(actions) {
+    var count = 0;
+    if (!actions.length) return done();
+    actions.forEach(function(action) {
+      runAction(action, function(err, webhookId) {
+        var entry = getEntry(action, webhookId);
+        if (err) {
+          logger.error('Unable to ' + action.type + ' webhook', {hook: action.name, err: err});
+          entry.error = err;
+          report.failed.push(entry);
+        } else {
+          report[REPORT_KEYS[action.type]].push(entry);
+        }
+
+        count++;
+        if (count === actions.length) done();
+      });
+    });
+
+    function done() {
+      if (report.failed.length) reject(createError(report));
+      else resolve(report);
+    }
+  }
+
+  /**
+   * Describe the result of an action for the report or plan.
+   *
+   * @param {Object} action -- An action generated by getActions()
+   * @param {String} [webhookId] -- ID of a newly registered webhook
+   */
+  function getEntry(action, webhookId) {
+    var entry = {
+      name: action.name,
+      id: webhookId || (action.webhook && action.webhook.id) || null,
+      url: action.hookDef ? url + action.hookDef.path : action.webhook.target_url
+    };
+    if (action.changes) entry.changes = action.changes;
+    return entry;
+  }
+
+  /**
+   * Generate a plan describing the actions without performing them.
+   *
+   * @param {Object[]} actions -- Actions generated by getActions()
+   */
+  function getPlan(actions) {
+    var plan = {
+      register: [],
+      update: [],
+      enable: [],
+      'delete': [],
+      leave: []
+    };
+    var rows = [['ACTION', 'NAME', 'URL', 'DETAILS']];
+    actions.forEach(function(action) {
+      var key = PLAN_KEYS[action.type];
+      var entry = getEntry(action);
+      plan[key].push(entry);
+      rows.push([key, entry.name, entry.url, getDetails(action)]);
+    });
+    plan.table = formatTable(rows);
+    return plan;
+  }
+
+  function getDetails(action) {
+    switch (action.type) {
+      case 'create':
+        return 'events: ' + (action.hookDef.events || []).join(', ');
+      case 'update':
+        return 'changed: ' + action.changes.join(', ');
+      case 'enable':
+        return 'status: ' + action.webhook.status;
+      default:
+        return 'id: ' + action.webhook.id;
     }
   }
 
-  function registerWebhook(hookDef) {
-    logger(hookDef.name + ': Registering Webhook');
+  /**
+   * Perform a single action.
+   *
+   * @param {Object} action -- An action generated by getActions()
+   * @param {Function} callback -- Called with `callback(err, webhookId)`
+   */
+  function runAction(action, callback) {
+    switch (action.type) {
+      case 'create':
+        return registerWebhook(action.hookDef, callback);
+      case 'update':
+        // Register the new webhook before deleting the old one, so that a failed registration leaves the old one in place
+        logger.info('Replacing webhook; changed: ' + action.changes.join(', '), {hook: action.name, webhookId: action.webhook.id});
+        return registerWebhook(action.hookDef, function(err, webhookId) {
+          if (err) return callback(err);
+          deleteWebhook(action.webhook, function(err) {
+            callback(err, webhookId);
+          });
+        });
+      case 'enable':
+        logger.info('Enabling webhook', {hook: action.name, webhookId: action.webhook.id});
+        return webhooksClient.enable(action.webhook.id, function(err) {
+          callback(err);
+        });
+      case 'delete':
+        return deleteWebhook(action.webhook, callback);
+      default:
+        callback();
+    }
+  }
+
+  function registerWebhook(hookDef, callback) {
+    logger.info('Registering Webhook', {hook: hookDef.name});
     webhooksClient.register({
       url: url + hookDef.path,
       events: hookDef.events,
@@ -71,7 +333,14 @@ module.exports = function(webhooksClient, options) {
         name: hookDef.name,
       },
     }, function(err, res) {
-       if (err) console.error(hookDef.name + ': ' + err);
+      callback(err, res && res.body ? res.body.id : null);
+    });
+  }
+
+  function deleteWebhook(webhook, callback) {
+    logger.info('Deleting webhook', {hook: webhook.config ? webhook.config.name : undefined, webhookId: webhook.id, url: webhook.target_url});
+    webhooksClient.delete(webhook.id, function(err) {
+      callback(err);
     });
   }
 
@@ -81,12 +350,63 @@ module.exports = function(webhooksClient, options) {
     })[0];
   }
 
-  function registerHook(hookDef) {
-    // Is the webhook already registerd?
-    var webhook = getWebhook(hookDef);
+  /**
+   * Find a webhook under our url by name only, preferring one that is already at the expected url.
+   * Used by `sync` so that hooks whose path has changed are updated rather than duplicated.  Webhooks
+   * at other urls may belong to another environment using the same app, so they are left alone.
+   */
+  function getNamedWebhook(hookDef) {
+    return getWebhook(hookDef) || currentHooks.filter(function (webhook) {
+      return getName(webhook) === hookDef.name && isUnderUrl(webhook);
+    })[0];
+  }
 
-    // Verify the webhook is active or register a new webhook
-    if (webhook) verifyWebhook(hookDef, webhook);
-    else registerWebhook(hookDef);
+  function isUnderUrl(webhook) {
+    return (webhook.target_url || '').indexOf(url) === 0;
   }
 };
+
+function getName(webhook) {
+  return webhook.config && webhook.config.name ? webhook.config.name : '';
+}
+
+/**
+ * Create an error listing every hook that could not be registered.
+ *
+ * @param {Object} report - A report whose `failed` property is not empty
+ * @returns {Error}
+ */
+function createError(report) {
+  var err = new Error('Failed to register webhooks: ' + report.failed.map(function(entry) {
+    var layerError = entry.error || {};
+    return entry.name + ' (' + (layerError.message || (layerError.body && layerError.body.message) || String(layerError)) + ')';
+  }).join(', '));
+  err.errors = report.failed.map(function(entry) {
+    return {
+      name: entry.name,
+      error: entry.error
+    };
+  });
+  err.report = report;
+  return err;
+}
+
+/**
+ * Format rows of strings as a table with aligned columns.
+ *
+ * @param {String[][]} rows
+ * @returns {String}
+ */
+function formatTable(rows) {
+  var widths = rows[0].map(function(cell, index) {
+    return Math.max.apply(Math, rows.map(function(row) {
+      return String(row[index]).length;
+    }));
+  });
+  return rows.map(function(row) {
+    return row.map(function(cell, index) {
+      cell = String(cell);
+      return index === row.length - 1 ? cell : cell + new Array(widths[index] - cell.length + 1).join(' ');
+    }).join('  ');
+  }).join('\n');
+}
@@ -0,0 +1,191 @@
+/**
+ * Replay webhook jobs that have failed all of their attempts.  Both failed jobs and their dead-letter
+ * jobs (`<job type>:dead`) are found for each of the hook's job types (including those of its `on` routes),
+ * and a new job of the same type is created with the original job data.
+ * The failed and dead-letter jobs are then removed so that they are not replayed a second time.
+ *
+ *     lws.replay({
+ *       hook: 'Message Read Monitor',
+ *       since: new Date(Date.now() - 2 * 60 * 60 * 1000),
+ *       eventTypes: ['message.sent']
+ *     }).then(function(report) {
+ *       console.log('Replayed ' + report.replayed + ' of ' + report.found + ' failed events');
+ *     });
+ *
+ * @param {Object} services - Queues and clients shared by the WebhooksServices; this is passed in via bind and does not need to be passed into calls to this module
+ * @param {Object} options
+ * @param {String|Object} options.hook - Name of the hook whose jobs should be replayed.  The new jobs get the `attempts`, `backoff`
+ *                                       and `timeout` of the hook as it is listened for in this process; if a hook definition is
+ *                                       provided instead, its own settings are used.  If the hook is not being listened for in
+ *                                       this process, only a hook definition's `on` routes can be found.
+ * @param {Date|Number|String} [options.since] - Only replay jobs that failed at or after this time
+ * @param {Date|Number|String} [options.until] - Only replay jobs that failed before this time
+ * @param {String[]} [options.eventTypes] - Only replay jobs for these event types ('message.sent', etc...)
+ * @param {Function} [callback] - Called with `callback(err, report)`
+ * @returns {Promise} - Resolves with a report containing the number of matching jobs `found`, the number `replayed`,
+ *                      and an array of `errors` for jobs that could not be replayed.
+ */
+var getDuration = require('./duration');
+var Logger = require('./logger');
+var deadLetter = require('./dead-letter');
+var createHandler = require('./handler');
+
+module.exports = function(services, options, callback) {
+  var hookDef = typeof options.hook === 'string' ? {name: options.hook} : options.hook;
+  var logger = (services.logger || new Logger()).child({hook: hookDef.name});
+  var since = options.since ? new Date(options.since).getTime() : 0;
+  var until = options.until ? new Date(options.until).getTime() : Infinity;
+  var eventTypes = options.eventTypes;
+  var hookJobs = (services.hookJobs && services.hookJobs[hookDef.name]) || {}; // Set if the hook is listened for in this process
+  var attempts = hookDef.attempts || hookJobs.attempts || 10;
+  var backoff = hookDef.backoff || hookJobs.backoff || {type: 'exponential', delay: 10000};
+  var timeout = hookDef.timeout ? getDuration(hookDef.timeout) : hookJobs.timeout;
+
+  var sources = getSources().filter(function(source) {
+    return source.queue.getJobs;
+  });
+
+  var promise = sources.length ? Promise.all(sources.map(function(source) {
+    return findJobs(source.queue, source.type);
+  })).then(function(results) {
+    return replayJobs([].concat.apply([], results));
+  }) : Promise.reject(new Error('Queue does not support getJobs; failed jobs can not be replayed'));
+
+  if (callback) {
+    promise.then(function(report) {
+      callback(null, report);
+    }, callback);
+  }
+  return promise;
+
+  /**
+   * Get each job type of the hook and the queue it is in.  The job types recorded when the hook was set up
+   * are used if it was set up in this process; otherwise they are determined from the hook definition, and
+   * jobs that aren't run by a handler may be in either queue.
+   *
+   * @returns {Object[]} - Each has a `type` and a `queue`
+   */
+  function getSources() {
+    if (hookJobs.jobs) return hookJobs.jobs;
+    return [].concat.apply([], createHandler.getJobTypes(hookDef).map(function(jobType) {
+      var queues = jobType.handler ? [services.handlerQueue] : [services.queue, services.handlerQueue];
+      return queues.map(function(queue) {
+        return {type: jobType.type, queue: queue};
+      });
+    }));
+  }
+
+  /**
+   * Find the failed jobs of one of the hook's job types that match the options.
+   *
+   * @param {Queue} queue
+   * @param {String} type
+   * @returns {Promise} - Resolves with an array of `{queue, type, payload, failedAt, jobs}` where `jobs` are the jobs to remove once replayed
+   */
+  function findJobs(queue, type) {
+    return Promise.all([
+      getJobs(queue, type, 'failed'),
+      getJobs(queue, deadLetter.getType(type), 'inactive')
+    ]).then(function(results) {
+      var failedJobs = {};
+      results[0].forEach(function(job) {
+        failedJobs[job.id] = job;
+      });
+
+      // Each dead-letter job refers to a failed job; replay them together
+      var entries = results[1].map(function(job) {
+        var failedJob = failedJobs[job.data.jobId];
+        delete failedJobs[job.data.jobId];
+        return {
+          queue: queue,
+          type: type,
+          payload: job.data.payload,
+          failedAt: job.data.failedAt,
+          jobs: failedJob ? [job, failedJob] : [job]
+        };
+      });
+
+      Object.keys(failedJobs).forEach(function(id) {
+        var job = failedJobs[id];
+        entries.push({
+          queue: queue,
+          type: type,
+          payload: job.data,
+          failedAt: job.failedAt,
+          jobs: [job]
+        });
+      });
+
+      return entries.filter(isMatch);
+    });
+  }
+
+  function isMatch(entry) {
+    var failedAt = entry.failedAt || 0;
+    if (failedAt < since || failedAt >= until) return false;
+    if (eventTypes && eventTypes.indexOf(entry.payload.type) === -1) return false;
+    return true;
+  }
+
+  /**
+   * Create a new job for each entry, and remove the jobs it replaces.
+   *
+   * @param {Object[]} entries - Entries generated by findJobs()
+   * @returns {Promise} - Resolves with the report
+   */
+  function replayJobs(entries) {
+    var report = {
+      found: entries.length,
+      replayed: 0,
+      errors: []
+    };
+    return Promise.all(entries.map(function(entry) {
+      return replayJob(entry).then(function() {
+        report.replayed++;
+      }, function(err) {
+        logger.error('Unable to replay job', {jobId: entry.jobs[0].id, eventId: entry.payload.eventId, err: err});
+        report.errors.push(err);
+      });
+    })).then(function() {
+      logger.info('Replayed ' + report.replayed + ' of ' + report.found + ' failed jobs');
+      return report;
+    });
+  }
+
+  function replayJob(entry) {
+    return new Promise(function(resolve, reject) {
+      var job = entry.queue.createJob(entry.type, entry.payload).attempts(attempts).backoff(backoff);
+      if (timeout) job.ttl(timeout);
+      job.save(function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    }).then(function() {
+      return Promise.all(entry.jobs.map(function(job) {
+        return new Promise(function(resolve) {
+          job.remove(function(err) {
+            if (err) logger.warn('Unable to remove replayed job', {jobId: job.id, err: err});
+            resolve();
+          });
+        });
+      }));
+    });
+  }
+};
+
+/**
+ * Get jobs from a queue as a Promise.
+ *
+ * @param {Queue} queue
+ * @param {String} type
+ * @param {String} state
+ * @returns {Promise}
+ */
+function getJobs(queue, type, state) {
+  return new Promise(function(resolve, reject) {
+    queue.getJobs(type, state, function(err, jobs) {
+      if (err) reject(err);
+      else resolve(jobs);
+    });
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Create a check for the `senderPolicy` option of a hook definition, which determines which Message events
+ * create jobs based on who sent the Message.
+ *
+ * Without a policy, Messages sent via the Platform API (which have a `sender.name` rather than a `sender.user_id`)
+ * are ignored; responding to bots could create an infinite bot loop.  A policy can accept some or all Platform API
+ * Messages, and catch bot loops by limiting how many Platform API Messages are accepted for each Conversation:
+ *
+ *     senderPolicy: {
+ *       // Accept Messages from any Platform API sender not listed in `deny`
+ *       includePlatformMessages: false,
+ *
+ *       // Platform API sender names to accept even if includePlatformMessages is false
+ *       allow: ['Billing'],
+ *
+ *       // Platform API sender names to always ignore
+ *       deny: ['Die-bot'],
+ *
+ *       // Once more than 5 Platform API Messages are accepted for a Conversation within a minute,
+ *       // ignore any more until the rate drops
+ *       rateLimit: {max: 5, window: '1 minute'}
+ *     }
+ *
+ * @param {Object} [policy] - The `senderPolicy` option of the hook definition
+ * @param {Function} onLimit - Called with `onLimit(conversationId, count)` when a Message is ignored by the rate limiter
+ * @returns {Function} - Called with a Message, returns true if the Message should create a job
+ */
+var getDuration = require('./duration');
+
+module.exports = function(policy, onLimit) {
+  policy = policy || {};
+  var allow = policy.allow || [];
+  var deny = policy.deny || [];
+  var rateLimit = policy.rateLimit;
+  var window = rateLimit ? getDuration(rateLimit.window || '1m') : 0;
+  var sent = {};
+  var checkCount = 0;
+
+  return function(message) {
+    if (!message || !message.sender || message.sender.user_id) return true;
+
+    var name = message.sender.name;
+    if (deny.indexOf(name) !== -1) return false;
+    if (!policy.includePlatformMessages && allow.indexOf(name) === -1) return false;
+    return rateLimit ? isUnderLimit(message.conversation ? message.conversation.id : '') : true;
+  };
+
+  /**
+   * Record a Platform API Message for the Conversation, and determine whether the Conversation
+   * is still under the rate limit.
+   *
+   * @param {String} conversationId
+   * @returns {Boolean}
+   */
+  function isUnderLimit(conversationId) {
+    var now = Date.now();
+    var times = (sent[conversationId] || []).filter(function(time) {
+      return time > now - window;
+    });
+    times.push(now);
+    sent[conversationId] = times;
+
+    // Occasionally forget about Conversations that have gone quiet
+    checkCount++;
+    if (checkCount % 1000 === 0) removeExpired(now);
+
+    if (times.length > rateLimit.max) {
+      onLimit(conversationId, times.length);
+      return false;
+    }
+    return true;
+  }
+
+  function removeExpired(now) {
+    Object.keys(sent).forEach(function(conversationId) {
+      var times = sent[conversationId];
+      if (times[times.length - 1] <= now - window) delete sent[conversationId];
+    });
+  }
+};
@@ -0,0 +1,160 @@
+/**
+ * Run a webhooks server from a config module; this is what the `layer-webhooks-services serve` command runs.
+ * Hooks are registered with Layer's services, and the server listens for their events:
+ *
+ *     // hooks.js
+ *     module.exports = {
+ *       secret: 'Frodo is a Dodo',
+ *       url: 'https://mydomain.com',
+ *       hooks: [require('./message-sent')],
+ *       receipts: [require('./message-read')]
+ *     };
+ *
+ *     $ layer-webhooks-services serve --config hooks.js
+ *
+ * On SIGTERM or SIGINT, the WebhooksServices are closed (see close.js) so that active jobs finish before the process exits.
+ *
+ * @param {Object} config
+ * @param {String} [config.token=process.env.LAYER_BEARER_TOKEN] - Layer Platform API token
+ * @param {String} [config.appId=process.env.LAYER_APP_ID] - Layer Application ID
+ * @param {String|String[]} config.secret - Secret used to register and validate the webhooks; see listen.js
+ * @param {String} [config.url] - Base url of this server, used to register the webhooks; defaults to `https://` + `process.env.HOST` + `:` + port
+ * @param {Number} [config.port] - Port to listen on; defaults to `process.env.PORT`, `process.env.WEBHOOK_PORT` or 443
+ * @param {Object} [config.ssl] - Paths to the `key`, `cert` and optional `ca` files, relative to the config module.  Without this, an http server
+ *                                is created; Layer only sends events to https urls, so only do this behind a proxy that provides https (heroku, etc...).
+ * @param {String|Redis} [config.redis=process.env.REDIS_URL] - Redis url, or a Redis client with a `duplicate()` method (redis 2.7+ or ioredis)
+ *                                       that Kue creates its own connections from
+ * @param {Object[]} [config.hooks] - Hook definitions passed to listen()
+ * @param {Object[]} [config.receipts] - Hook definitions passed to receipts()
+ * @param {Boolean|Object} [config.register=true] - Options such as `sync` and `prune` passed to register(), or false to skip registering the webhooks
+ * @param {String|Number} [config.shutdownTimeout='30s'] - How long to wait for active jobs to finish when shutting down
+ * @param {Function} [config.setup] - Called with `setup(lws)` before the server starts; use this to process the queue's jobs
+ * @param {Object} [config.logger] - Logger to use instead of writing JSON to stderr; see logger.js
+ * @param {String} [configDir=process.cwd()] - Directory that `config.ssl` paths are relative to
+ * @returns {Object} - `{lws, server, shutdown}` where `shutdown(callback)` closes the WebhooksServices and stops the server
+ */
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
+var https = require('https');
+var kue = require('kue');
+var express = require('express');
+var WebhooksServices = require('./index');
+var getDuration = require('./duration');
+
+module.exports = function(config, configDir) {
+  var port = config.port || process.env.PORT || process.env.WEBHOOK_PORT || 443;
+  var url = config.url || 'https://' + (process.env.HOST || 'localhost') + ':' + port;
+  var hooks = config.hooks || [];
+  var receiptHooks = config.receipts || [];
+  var shutdownTimeout = getDuration(config.shutdownTimeout || '30s');
+  var app = express();
+
+  // Kue creates its Redis clients from the queue's options, so create the queue before the Redis client
+  var queue = new WebhooksServices.KueQueue({
+    jobEvents: false,
+    redis: getKueRedisOptions(config.redis || process.env.REDIS_URL)
+  });
+  queue.getQueue();
+  var redis = config.redis && typeof config.redis !== 'string' ? config.redis : kue.redis.createClient();
+
+  var lws = new WebhooksServices({
+    token: config.token || process.env.LAYER_BEARER_TOKEN,
+    appId: config.appId || process.env.LAYER_APP_ID,
+    redis: redis,
+    queue: queue,
+    logger: config.logger
+  });
+  var logger = lws.logger;
+  if (config.setup) config.setup(lws);
+
+  if (config.register !== false) {
+    lws.register(Object.assign({}, config.register, {
+      secret: config.secret,
+      url: url,
+      hooks: hooks.concat(receiptHooks)
+    })).catch(function(err) {
+      // Keep running so that any webhooks that are already registered are still handled
+      logger.error(err.message);
+    });
+  }
+
+  if (hooks.length) {
+    lws.listen({
+      expressApp: app,
+      secret: config.secret,
+      hooks: hooks
+    });
+  }
+
+  if (receiptHooks.length) {
+    lws.receipts({
+      expressApp: app,
+      secret: config.secret,
+      hooks: receiptHooks
+    });
+  }
+
+  var server = config.ssl ? https.createServer(getSSLOptions(config.ssl, configDir || process.cwd()), app) : http.createServer(app);
+  server.listen(port, function() {
+    logger.info('Listening on port ' + port + ' for ' + url);
+  });
+
+  // Requests received while active jobs finish get a 503 so that Layer retries them
+  function shutdown(callback) {
+    logger.info('Shutting down');
+    lws.close(shutdownTimeout, function(err) {
+      if (err) logger.error('Unable to shut down the queues', {err: err});
+      server.close();
+      redis.quit();
+      if (callback) callback(err);
+    });
+  }
+
+  return {
+    lws: lws,
+    server: server,
+    shutdown: shutdown
+  };
+};
+
+/**
+ * Get the `redis` option for Kue.  Kue needs several connections, as subscribing and waiting for jobs block
+ * a connection, so when given a client it connects each of them the same way as that client.
+ *
+ * @param {String|Redis} [redis] - Redis url or client
+ * @returns {String|Object}
+ */
+function getKueRedisOptions(redis) {
+  if (!redis || typeof redis === 'string') return redis;
+  if (typeof redis.duplicate !== 'function') {
+    throw new Error('config.redis must be a Redis url, or a Redis client with a duplicate() method such as those of redis 2.7+ or ioredis');
+  }
+  return {
+    createClientFactory: function() {
+      return redis.duplicate();
+    }
+  };
+}
+
+module.exports.getKueRedisOptions = getKueRedisOptions;
+
+/**
+ * Read the SSL files needed for https.createServer().
+ *
+ * @param {Object} ssl - Paths of the `key`, `cert` and optional `ca` files
+ * @param {String} dir - Directory the paths are relative to
+ * @returns {Object}
+ */
+function getSSLOptions(ssl, dir) {
+  var options = {
+    key: fs.readFileSync(path.resolve(dir, ssl.key)),
+    cert: fs.readFileSync(path.resolve(dir, ssl.cert))
+  };
+  if (ssl.ca) {
+    options.ca = fs.readFileSync(path.resolve(dir, ssl.ca));
+    options.requestCert = true;
+    options.rejectUnauthorized = false;
+  }
+  return options;
+}
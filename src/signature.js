@@ -0,0 +1,49 @@
+/**
+ * Verify the `layer-webhook-signature` header of a webhook request.  The header is an HMAC SHA1 digest of the
+ * request body using the secret provided when the webhook was registered.
+ *
+ * Any number of secrets can be provided so that the secret can be changed without rejecting requests signed
+ * with the previous secret; register the webhook with the new secret while listening with both.
+ *
+ *     verifySignature(req.rawBody, ['new secret', 'old secret'], req.get('layer-webhook-signature'));
+ *
+ * @param {Buffer|String} payload - The raw body of the request
+ * @param {String|String[]} secrets - Secret or array of secrets that may have been used to sign the request
+ * @param {String} signature - Value of the `layer-webhook-signature` header
+ * @returns {Boolean}
+ */
+var crypto = require('crypto');
+
+module.exports = function(payload, secrets, signature) {
+  if (!signature) return false;
+  var expected = toBuffer(String(signature));
+
+  // Test every secret rather than stopping at the first match, so that timing does not reveal which secret matched
+  return [].concat(secrets).reduce(function(matched, secret) {
+    var hash = toBuffer(crypto.createHmac('sha1', secret).update(payload).digest('hex'));
+    return isEqual(hash, expected) || matched;
+  }, false);
+};
+
+function toBuffer(str) {
+  return Buffer.from ? Buffer.from(str, 'utf8') : new Buffer(str, 'utf8');
+}
+
+/**
+ * Compare two buffers in constant time.
+ *
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {Boolean}
+ */
+function isEqual(a, b) {
+  if (a.length !== b.length) return false;
+  if (crypto.timingSafeEqual) return crypto.timingSafeEqual(a, b);
+
+  // Node versions prior to 6.6 do not have timingSafeEqual
+  var result = 0;
+  for (var i = 0; i < a.length; i++) {
+    result |= a[i] ^ b[i];
+  }
+  return result === 0;
+}
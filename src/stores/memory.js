@@ -0,0 +1,78 @@
+/**
+ * Receipts store that keeps receipts within the current process; no Redis is needed.  This is the store used
+ * by the receipts service when the WebhooksServices are not given a `redis` client.  Useful for tests, and with
+ * a MemoryQueue for small deployments; receipts are lost on restart, and are not shared with other processes.
+ *
+ *     var lws = new WebhooksServices({
+ *       token: process.env.LAYER_BEARER_TOKEN,
+ *       appId: process.env.LAYER_APP_ID,
+ *       queue: new WebhooksServices.MemoryQueue(),
+ *       receiptsStore: new WebhooksServices.MemoryStore()
+ *     });
+ *
+ * See redis.js for the methods of a receipts store.
+ *
+ * @class
+ */
+function MemoryStore() {
+  this.entries = {};
+}
+
+MemoryStore.prototype.set = function(key, value, ttl, callback) {
+  this.entries[key] = {
+    value: String(value),
+    expiresAt: ttl ? Date.now() + ttl : null
+  };
+  if (callback) callback(null);
+};
+
+MemoryStore.prototype.get = function(key, callback) {
+  var entry = this.entries[key];
+  if (entry && isExpired(entry)) {
+    delete this.entries[key];
+    entry = null;
+  }
+  if (callback) callback(null, entry ? entry.value : null);
+};
+
+MemoryStore.prototype.del = function(key, callback) {
+  delete this.entries[key];
+  if (callback) callback(null);
+};
+
+MemoryStore.prototype.push = function(key, value, ttl, callback) {
+  var entry = this.entries[key];
+  if (!entry || isExpired(entry) || !Array.isArray(entry.value)) entry = this.entries[key] = {value: []};
+  entry.value.push(String(value));
+  entry.expiresAt = ttl ? Date.now() + ttl : null;
+  if (callback) callback(null, entry.value.length);
+};
+
+MemoryStore.prototype.take = function(key, callback) {
+  var entry = this.entries[key];
+  delete this.entries[key];
+  if (callback) callback(null, entry && !isExpired(entry) && Array.isArray(entry.value) ? entry.value : []);
+};
+
+MemoryStore.prototype.sweep = function(prefix, ttl, callback) {
+  var entries = this.entries;
+  var count = 0;
+  Object.keys(entries).forEach(function(key) {
+    if (key.indexOf(prefix) !== 0) return;
+    var entry = entries[key];
+    if (isExpired(entry)) {
+      delete entries[key];
+      count++;
+    } else if (!entry.expiresAt) {
+      entry.expiresAt = Date.now() + ttl;
+      count++;
+    }
+  });
+  if (callback) callback(null, count);
+};
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+module.exports = MemoryStore;
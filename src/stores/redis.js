@@ -0,0 +1,117 @@
+/**
+ * Receipts store backed by Redis; this is the store used by the receipts service when the WebhooksServices
+ * are given a `redis` client.
+ *
+ *     var WebhooksServices = require('layer-webhooks-services');
+ *     var lws = new WebhooksServices({
+ *       token: process.env.LAYER_BEARER_TOKEN,
+ *       appId: process.env.LAYER_APP_ID,
+ *       receiptsStore: new WebhooksServices.RedisStore(redis)
+ *     });
+ *
+ * Any object with the same methods can be used as a receipts store:
+ *
+ *  * `set(key, value, ttl, callback)` stores a string, which is removed after `ttl` ms; calls `callback(err)`.
+ *  * `get(key, callback)` calls `callback(err, value)`, where `value` is null if there is no such key or it has expired.
+ *  * `del(key, callback)` removes the key; calls `callback(err)`.
+ *  * `push(key, value, ttl, callback)` appends a string to the list stored at the key, which is removed after `ttl` ms;
+ *    calls `callback(err, length)` with the length of the list.  Only needed for digests.
+ *  * `take(key, callback)` removes the list stored at the key; calls `callback(err, values)` with its values, or an empty
+ *    array if there is no such list.  Only needed for digests.
+ *  * `sweep(prefix, ttl, callback)` gives every key starting with `prefix` that has no expiry an expiry of `ttl` ms,
+ *    and removes any that have expired; calls `callback(err, count)` with the number of keys it changed.
+ *
+ * Callbacks are optional.
+ *
+ * @class
+ * @param {Redis} redis - Redis client
+ */
+function RedisStore(redis) {
+  this.redis = redis;
+}
+
+// Number of keys to ask SCAN for at a time
+var SCAN_COUNT = 100;
+
+RedisStore.prototype.set = function(key, value, ttl, callback) {
+  this.redis.set(key, value, 'PX', ttl, function(err) {
+    if (callback) callback(err);
+  });
+};
+
+RedisStore.prototype.get = function(key, callback) {
+  this.redis.get(key, callback);
+};
+
+RedisStore.prototype.del = function(key, callback) {
+  this.redis.del(key, function(err) {
+    if (callback) callback(err);
+  });
+};
+
+RedisStore.prototype.push = function(key, value, ttl, callback) {
+  this.redis.multi().rpush(key, value).pexpire(key, ttl).exec(function(err, replies) {
+    if (callback) callback(err, replies ? replies[0] : 0);
+  });
+};
+
+RedisStore.prototype.take = function(key, callback) {
+  this.redis.multi().lrange(key, 0, -1).del(key).exec(function(err, replies) {
+    if (callback) callback(err, replies ? replies[0] : []);
+  });
+};
+
+/**
+ * Redis removes expired keys itself; this finds keys that will never expire, such as those written by versions
+ * of this module that stored receipts without a TTL, and gives them one.
+ */
+RedisStore.prototype.sweep = function(prefix, ttl, callback) {
+  var redis = this.redis;
+  var count = 0;
+  var pattern = prefix.replace(/([*?\[\]\\])/g, '\\$1') + '*';
+
+  function scan(cursor) {
+    redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT, function(err, reply) {
+      if (err) return done(err);
+      expireKeys(reply[1], function(err) {
+        if (err) return done(err);
+        if (String(reply[0]) === '0') done(null);
+        else scan(reply[0]);
+      });
+    });
+  }
+
+  function expireKeys(keys, next) {
+    var remaining = keys.length;
+    var failed = false;
+    if (!remaining) return next(null);
+    keys.forEach(function(key) {
+      redis.pttl(key, function(err, keyTtl) {
+        if (!err && keyTtl !== -1) return finish(null);
+        if (err) return finish(err);
+        redis.pexpire(key, ttl, function(err) {
+          if (!err) count++;
+          finish(err);
+        });
+      });
+    });
+
+    function finish(err) {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return next(err);
+      }
+      remaining--;
+      if (!remaining) next(null);
+    }
+  }
+
+  function done(err) {
+    if (callback) callback(err, count);
+  }
+
+  scan('0');
+};
+
+module.exports = RedisStore;
@@ -0,0 +1,277 @@
+/**
+ * Tools for testing your webhook services without waiting for events from Layer's services.  Build a payload
+ * for any event type, post it to your app signed with your secret, and wait for the job it creates:
+ *
+ *     var WebhooksServices = require('layer-webhooks-services');
+ *     var testing = WebhooksServices.testing;
+ *     var queue = new WebhooksServices.MemoryQueue();
+ *     var lws = new WebhooksServices({token: 'token', appId: testing.APP_ID, queue: queue});
+ *
+ *     lws.listen({expressApp: app, secret: 'Frodo is a Dodo', hooks: [hook]});
+ *     var jobs = testing.recordJobs(queue, hook.name);
+ *
+ *     var payload = testing.createPayload('message.sent', {sender: 'frodo', text: 'Hello'});
+ *     testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+ *       res.status.should.equal(200);
+ *       return jobs.next();
+ *     }).then(function(data) {
+ *       data.message.parts[0].body.should.equal('Hello');
+ *     });
+ *
+ * Recording jobs processes them, so record jobs from a queue that is used only by your tests, such as a MemoryQueue.
+ */
+var http = require('http');
+var crypto = require('crypto');
+
+var CONTENT_TYPE = 'application/vnd.layer.webhooks+json';
+
+// App ID used in the urls of the Conversations and Messages created here; the Layer clients need app IDs to be UUIDs
+var APP_ID = '00000000-0000-0000-0000-000000000000';
+
+// The event types that webhooks can subscribe to
+var EVENT_TYPES = [
+  'message.sent',
+  'message.delivered',
+  'message.read',
+  'message.deleted',
+  'conversation.created',
+  'conversation.deleted',
+  'conversation.metadata_updated',
+  'conversation.participants_updated'
+];
+
+// The recipient status given to recipients of Messages for each Message event type
+var RECIPIENT_STATUS = {
+  'message.sent': 'sent',
+  'message.delivered': 'delivered',
+  'message.read': 'read',
+  'message.deleted': 'read'
+};
+
+/**
+ * Create the body of a webhook request.
+ *
+ * @param {String} type - One of the EVENT_TYPES
+ * @param {Object} [options] - Options for createConversation() or createMessage(), and:
+ * @param {String} [options.eventId] - ID of the event; a random ID is used by default
+ * @param {Date|String} [options.createdAt=now] - Time at which the event occurred
+ * @param {Object} [options.conversation] - Conversation to use rather than creating one
+ * @param {Object} [options.message] - Message to use rather than creating one
+ * @returns {Object}
+ */
+function createPayload(type, options) {
+  options = options || {};
+  if (EVENT_TYPES.indexOf(type) === -1) throw new Error('Unknown event type: ' + type);
+  var payload = {
+    event: {
+      id: options.eventId || createId(),
+      type: type,
+      created_at: getTime(options.createdAt)
+    }
+  };
+
+  if (type.indexOf('message.') === 0) {
+    payload.message = options.message || createMessage(extend({recipientStatus: RECIPIENT_STATUS[type]}, options));
+  } else {
+    payload.conversation = options.conversation || createConversation(options);
+  }
+  return payload;
+}
+
+/**
+ * Create a Conversation as it appears in webhook events.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.id] - A random ID is used by default
+ * @param {String[]} [options.participants=['frodo', 'sam']]
+ * @param {Object} [options.metadata={}]
+ * @param {Boolean} [options.distinct=false]
+ * @returns {Object}
+ */
+function createConversation(options) {
+  options = options || {};
+  var uuid = options.id ? options.id.replace(/^.*\//, '') : createId();
+  var url = 'https://api.layer.com/apps/' + APP_ID + '/conversations/' + uuid;
+  return {
+    id: 'layer:///conversations/' + uuid,
+    url: url,
+    messages_url: url + '/messages',
+    created_at: getTime(options.createdAt),
+    participants: options.participants || ['frodo', 'sam'],
+    distinct: Boolean(options.distinct),
+    metadata: options.metadata || {}
+  };
+}
+
+/**
+ * Create a Message as it appears in webhook events.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.id] - A random ID is used by default
+ * @param {Object} [options.conversation] - Conversation the Message is in; one is created from the options by default
+ * @param {String|Object} [options.sender='frodo'] - User ID of the sender, or a sender object such as `{name: 'Billing'}` for Platform API Messages
+ * @param {String} [options.text='Hello'] - Body of a text/plain part
+ * @param {Object[]} [options.parts] - Parts to use instead of a text/plain part; each has a `mime_type` and `body`
+ * @param {String} [options.recipientStatus='sent'] - Status of each participant other than the sender
+ * @returns {Object}
+ */
+function createMessage(options) {
+  options = options || {};
+  // The Message's own ID is not the Conversation's
+  var conversation = options.conversation || createConversation(extend(extend({}, options), {id: undefined}));
+  var uuid = options.id ? options.id.replace(/^.*\//, '') : createId();
+  var id = 'layer:///messages/' + uuid;
+  var sender = typeof options.sender === 'object' ? options.sender : {user_id: options.sender || conversation.participants[0]};
+  var recipientStatus = {};
+  conversation.participants.forEach(function(userId) {
+    recipientStatus[userId] = userId === sender.user_id ? 'read' : options.recipientStatus || 'sent';
+  });
+  var parts = options.parts || [{mime_type: 'text/plain', body: options.text === undefined ? 'Hello' : options.text}];
+
+  return {
+    id: id,
+    url: 'https://api.layer.com/apps/' + APP_ID + '/messages/' + uuid,
+    conversation: {
+      id: conversation.id,
+      url: conversation.url
+    },
+    parts: parts.map(function(part, index) {
+      return extend({id: id + '/parts/' + index}, part);
+    }),
+    sent_at: getTime(options.createdAt),
+    sender: sender,
+    recipient_status: recipientStatus,
+    is_unread: false,
+    position: 1
+  };
+}
+
+/**
+ * Sign a payload as Layer's services do.
+ *
+ * @param {Object|String} payload - Payload created by createPayload(), or the raw body to sign
+ * @param {String} secret - Secret of the webhook
+ * @returns {Object} - `{body, signature}` where `body` is the request body and `signature` is the value of the `layer-webhook-signature` header
+ */
+function sign(payload, secret) {
+  var body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return {
+    body: body,
+    signature: crypto.createHmac('sha1', secret).update(body).digest('hex')
+  };
+}
+
+/**
+ * Post a signed payload to your app.  The app is served on a random port for the duration of the request.
+ *
+ * @param {Function} app - An Express app, or any request listener such as the one created by httpHandler()
+ * @param {String} path - Path of the hook
+ * @param {Object|String} payload - Payload created by createPayload(), or the raw body to send
+ * @param {String} [secret] - Secret of the webhook; without it, the request is not signed
+ * @returns {Promise} - Resolves with the `status` and `body` of the response
+ */
+function post(app, path, payload, secret) {
+  var signed = secret ? sign(payload, secret) : {body: typeof payload === 'string' ? payload : JSON.stringify(payload)};
+  var headers = {
+    'content-type': CONTENT_TYPE,
+    'content-length': Buffer.byteLength(signed.body)
+  };
+  if (signed.signature) headers['layer-webhook-signature'] = signed.signature;
+  if (path.indexOf('/') !== 0) path = '/' + path;
+
+  return new Promise(function(resolve, reject) {
+    var server = http.createServer(app).listen(0, '127.0.0.1', function() {
+      var req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: path,
+        method: 'POST',
+        headers: headers
+      }, function(res) {
+        var body = '';
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) {
+          body += chunk;
+        });
+        res.on('end', function() {
+          server.close();
+          resolve({status: res.statusCode, body: body});
+        });
+      });
+      req.on('error', function(err) {
+        server.close();
+        reject(err);
+      });
+      req.end(signed.body);
+    });
+  });
+}
+
+/**
+ * Process the jobs of the specified type, recording their data.
+ *
+ * @param {Queue} queue - The queue adapter
+ * @param {String} type - The job type; typically the name of a hook
+ * @returns {Object} - A recorder with a `jobs` array of the data of each job so far, and a `next([timeout=2000])`
+ *                     method that returns a Promise for the data of the next job that has not yet been returned by `next()`.
+ *                     The Promise rejects if no job arrives within the timeout.
+ */
+function recordJobs(queue, type) {
+  var waiting = [];
+  var recorder = {
+    jobs: [],
+    nextIndex: 0,
+    next: function(timeout) {
+      var index = recorder.nextIndex++;
+      if (index < recorder.jobs.length) return Promise.resolve(recorder.jobs[index]);
+      return new Promise(function(resolve, reject) {
+        var waiter = {index: index, resolve: resolve};
+        waiting.push(waiter);
+        waiter.timer = setTimeout(function() {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(new Error('Timed out waiting for a ' + type + ' job'));
+        }, timeout || 2000);
+      });
+    }
+  };
+
+  queue.process(type, function(job, done) {
+    recorder.jobs.push(job.data);
+    waiting.filter(function(waiter) {
+      return waiter.index === recorder.jobs.length - 1;
+    }).forEach(function(waiter) {
+      clearTimeout(waiter.timer);
+      waiting.splice(waiting.indexOf(waiter), 1);
+      waiter.resolve(job.data);
+    });
+    done();
+  });
+  return recorder;
+}
+
+function createId() {
+  var hex = crypto.randomBytes(16).toString('hex');
+  return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-');
+}
+
+function getTime(value) {
+  return (value ? new Date(value) : new Date()).toISOString();
+}
+
+function extend(target, source) {
+  Object.keys(source).forEach(function(key) {
+    target[key] = source[key];
+  });
+  return target;
+}
+
+module.exports = {
+  APP_ID: APP_ID,
+  EVENT_TYPES: EVENT_TYPES,
+  createPayload: createPayload,
+  createConversation: createConversation,
+  createMessage: createMessage,
+  sign: sign,
+  post: post,
+  recordJobs: recordJobs
+};
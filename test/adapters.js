@@ -0,0 +1,176 @@
+require('should');
+var stream = require('stream');
+var express = require('express');
+var listen = require('../src/listen');
+var createHttpHandler = require('../src/http');
+var createKoaMiddleware = require('../src/koa');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Framework adapters', function() {
+  var hook = {name: 'Monitor', path: '/monitor'};
+  var payload = testing.createPayload('message.sent');
+  var services, jobs;
+
+  function getOptions(extra) {
+    var options = {secret: 'Frodo is a Dodo', hooks: [hook]};
+    Object.keys(extra || {}).forEach(function(key) {
+      options[key] = extra[key];
+    });
+    return options;
+  }
+
+  beforeEach(function() {
+    services = createServices();
+    jobs = testing.recordJobs(services.queue, hook.name);
+  });
+
+  describe('listen', function() {
+    it('serves the hooks from an Express app', function() {
+      var app = express();
+      listen(services, getOptions({expressApp: app}));
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      }).then(function(data) {
+        data.eventId.should.equal(payload.event.id);
+      });
+    });
+
+    it('verifies the signature of a body already parsed by the app', function() {
+      var app = express();
+      app.use(require('body-parser').json({type: 'application/vnd.layer.webhooks+json'}));
+      listen(services, getOptions({expressApp: app}));
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      });
+    });
+
+    it('rejects requests with an invalid signature', function() {
+      var app = express();
+      listen(services, getOptions({expressApp: app}));
+      return testing.post(app, hook.path, payload, 'Sam is a Dodo').then(function(res) {
+        res.status.should.equal(403);
+      });
+    });
+  });
+
+  describe('httpHandler', function() {
+    it('serves the hooks from Node\'s http module', function() {
+      var app = createHttpHandler(services, getOptions());
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.should.eql({status: 200, body: 'OK'});
+        return jobs.next();
+      });
+    });
+
+    it('answers other paths with a 404, or passes them to the fallback', function() {
+      var app = createHttpHandler(services, getOptions());
+      return testing.post(app, '/other', payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(404);
+        app = createHttpHandler(services, getOptions({
+          fallback: function(req, res) {
+            res.end('Fallback for ' + req.url);
+          }
+        }));
+        return testing.post(app, '/other', payload, 'Frodo is a Dodo');
+      }).then(function(res) {
+        res.body.should.equal('Fallback for /other');
+      });
+    });
+
+    it('rejects bodies over the limit with a 413', function() {
+      var app = createHttpHandler(services, getOptions({limit: 10}));
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(413);
+      });
+    });
+
+    it('answers with a 500 if the handler fails', function() {
+      var app = createHttpHandler(services, getOptions());
+      services.metrics.inc = function() {
+        throw new Error('Metrics are broken');
+      };
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(500);
+      });
+    });
+  });
+
+  describe('koaMiddleware', function() {
+    var middleware, nextCalled;
+
+    // Koa's context for a request whose body has not been read
+    function createContext(method, path, body, headers) {
+      var req = new stream.PassThrough();
+      req.end(body || '');
+      return {
+        method: method,
+        path: path,
+        query: {},
+        headers: headers || {},
+        req: req,
+        request: {}
+      };
+    }
+
+    function next() {
+      nextCalled = true;
+      return Promise.resolve();
+    }
+
+    beforeEach(function() {
+      middleware = createKoaMiddleware(services, getOptions({limit: 10000}));
+      nextCalled = false;
+    });
+
+    it('reads and verifies the request body, and creates a job', function() {
+      var signed = testing.sign(payload, 'Frodo is a Dodo');
+      var ctx = createContext('POST', hook.path, signed.body, {'layer-webhook-signature': signed.signature});
+      return middleware(ctx, next).then(function() {
+        ctx.status.should.equal(200);
+        ctx.type.should.equal('text/plain');
+        ctx.body.should.equal('OK');
+        nextCalled.should.be.false();
+        return jobs.next();
+      });
+    });
+
+    it('uses the raw body kept by a body parser', function() {
+      var signed = testing.sign(payload, 'Frodo is a Dodo');
+      var ctx = createContext('POST', hook.path + '/', '', {'layer-webhook-signature': signed.signature});
+      ctx.request.rawBody = signed.body;
+      return middleware(ctx, next).then(function() {
+        ctx.status.should.equal(200);
+        return jobs.next();
+      });
+    });
+
+    it('answers verification requests', function() {
+      var ctx = createContext('GET', hook.path);
+      ctx.query = {verification_challenge: 'Who goes there?'};
+      return middleware(ctx, next).then(function() {
+        ctx.status.should.equal(200);
+        ctx.body.should.equal('Who goes there?');
+      });
+    });
+
+    it('passes other paths on to the next middleware', function() {
+      var ctx = createContext('POST', '/other');
+      return middleware(ctx, next).then(function() {
+        nextCalled.should.be.true();
+        (ctx.status === undefined).should.be.true();
+      });
+    });
+
+    it('rejects bodies over the limit with a 413', function() {
+      middleware = createKoaMiddleware(services, getOptions({limit: 10}));
+      var signed = testing.sign(payload, 'Frodo is a Dodo');
+      var ctx = createContext('POST', hook.path, signed.body, {'layer-webhook-signature': signed.signature});
+      return middleware(ctx, next).then(function() {
+        ctx.status.should.equal(413);
+      });
+    });
+  });
+});
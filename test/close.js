@@ -0,0 +1,62 @@
+require('should');
+var close = require('../src/close');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Closing', function() {
+  var hook = {name: 'Monitor', path: '/monitor'};
+  var services, app;
+
+  beforeEach(function() {
+    services = createServices();
+    app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+  });
+
+  it('answers webhook requests with a 503 once closing', function() {
+    var jobs = testing.recordJobs(services.queue, hook.name);
+    var payload = testing.createPayload('message.sent');
+    return close(services, 10).then(function() {
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo');
+    }).then(function(res) {
+      res.status.should.equal(503);
+      return createServices.expectNoJob(jobs);
+    });
+  });
+
+  it('waits for active jobs to finish before shutting down the queues', function() {
+    var finished = false;
+    services.queue.process('Monitor', function(job, done) {
+      setTimeout(function() {
+        finished = true;
+        done();
+      }, 30);
+    });
+    services.queue.createJob('Monitor', {}).save();
+    return close(services, '1s').then(function() {
+      finished.should.be.true();
+      services.queue.shuttingDown.should.be.true();
+      services.handlerQueue.shuttingDown.should.be.true();
+    });
+  });
+
+  it('rejects if active jobs take longer than the timeout', function() {
+    services.queue.process('Monitor', function(job, done) {
+      setTimeout(done, 100);
+    });
+    services.queue.createJob('Monitor', {}).save();
+    return close(services, 10).then(function() {
+      throw new Error('Expected close to fail');
+    }, function(err) {
+      err.message.should.equal('Shutdown timed out with 1 active jobs');
+    });
+  });
+
+  it('returns the same Promise when called again, and calls the callback', function(done) {
+    var closing = close(services, 10);
+    close(services, 10, function(err) {
+      (err === null).should.be.true();
+      done();
+    }).should.equal(closing);
+  });
+});
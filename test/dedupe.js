@@ -0,0 +1,84 @@
+require('should');
+var dedupe = require('../src/dedupe');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Duplicate event suppression', function() {
+  describe('dedupe', function() {
+    var redis;
+
+    beforeEach(function() {
+      redis = new createServices.FakeRedis();
+    });
+
+    it('reports the first delivery of an event as new and later ones as duplicates', function(done) {
+      dedupe(redis, 'Message Monitor', 'event-1', 1000, function(err, isDuplicate) {
+        if (err) return done(err);
+        isDuplicate.should.be.false();
+        dedupe(redis, 'Message Monitor', 'event-1', 1000, function(err, isDuplicate) {
+          if (err) return done(err);
+          isDuplicate.should.be.true();
+          done();
+        });
+      });
+    });
+
+    it('tracks event IDs separately for each hook', function(done) {
+      dedupe(redis, 'Message Monitor', 'event-1', 1000, function(err) {
+        if (err) return done(err);
+        dedupe(redis, 'Conversation Monitor', 'event-1', 1000, function(err, isDuplicate) {
+          if (err) return done(err);
+          isDuplicate.should.be.false();
+          done();
+        });
+      });
+    });
+  });
+
+  describe('webhook requests', function() {
+    var payload = testing.createPayload('message.sent');
+    var services, jobs;
+
+    function createApp(hook) {
+      return createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+    }
+
+    beforeEach(function() {
+      services = createServices({redis: new createServices.FakeRedis()});
+      jobs = testing.recordJobs(services.queue, 'Message Monitor');
+    });
+
+    it('creates one job for repeated deliveries of an event', function() {
+      var app = createApp({name: 'Message Monitor', path: '/message-monitor', dedupe: '1h'});
+      return testing.post(app, '/message-monitor', payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      }).then(function() {
+        return testing.post(app, '/message-monitor', payload, 'Frodo is a Dodo');
+      }).then(function(res) {
+        // Layer stops retrying once it gets a 200
+        res.status.should.equal(200);
+        return createServices.expectNoJob(jobs);
+      });
+    });
+
+    it('creates a job for each delivery without the dedupe option', function() {
+      var app = createApp({name: 'Message Monitor', path: '/message-monitor'});
+      return testing.post(app, '/message-monitor', payload, 'Frodo is a Dodo').then(function() {
+        return testing.post(app, '/message-monitor', payload, 'Frodo is a Dodo');
+      }).then(function() {
+        return jobs.next();
+      }).then(function() {
+        return jobs.next();
+      });
+    });
+
+    it('requires a redis client', function() {
+      services.redis = null;
+      (function() {
+        createApp({name: 'Message Monitor', path: '/message-monitor', dedupe: '1h'});
+      }).should.throw(/requires a redis client/);
+    });
+  });
+});
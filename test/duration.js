@@ -0,0 +1,24 @@
+require('should');
+var getDuration = require('../src/duration');
+
+describe('getDuration', function() {
+  it('reads strings such as 10 minutes', function() {
+    getDuration('10 minutes').should.equal(600000);
+    getDuration('1h').should.equal(3600000);
+  });
+
+  it('uses numbers as milliseconds', function() {
+    getDuration(2500).should.equal(2500);
+  });
+
+  it('uses the default only if there is no value', function() {
+    getDuration(undefined, '10s').should.equal(10000);
+    getDuration(0, '10s').should.equal(0);
+    getDuration(false, '10s').should.equal(0);
+  });
+
+  it('is 0 without a value or default', function() {
+    getDuration().should.equal(0);
+    getDuration(null).should.equal(0);
+  });
+});
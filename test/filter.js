@@ -0,0 +1,122 @@
+require('should');
+var createFilter = require('../src/filter');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Filters', function() {
+  function getData(type, options) {
+    var payload = testing.createPayload(type, options);
+    return {type: type, conversation: payload.conversation, message: payload.message};
+  }
+
+  it('uses a function as the filter', function() {
+    var filter = createFilter(function(data) {
+      return data.type === 'message.sent';
+    });
+    filter(getData('message.sent')).should.be.true();
+    filter(getData('message.read')).should.be.false();
+  });
+
+  it('matches Conversation metadata by value, list, RegExp or presence', function() {
+    var data = getData('conversation.created', {metadata: {status: {priority: 'high'}, topic: 'Rings'}});
+    createFilter({metadata: {'status.priority': 'high'}})(data).should.be.true();
+    createFilter({metadata: {'status.priority': ['high', 'urgent']}})(data).should.be.true();
+    createFilter({metadata: {topic: /^ring/i}})(data).should.be.true();
+    createFilter({metadata: {topic: true}})(data).should.be.true();
+    createFilter({metadata: {'status.priority': 'low'}})(data).should.be.false();
+    createFilter({metadata: {owner: true}})(data).should.be.false();
+  });
+
+  it('matches Messages by mime type and text', function() {
+    var data = getData('message.sent', {parts: [
+      {mime_type: 'image/png', body: '...'},
+      {mime_type: 'text/plain', body: 'Roll a die 20 times'}
+    ]});
+    createFilter({mimeTypes: ['image/png']})(data).should.be.true();
+    createFilter({mimeTypes: ['image/jpeg']})(data).should.be.false();
+    createFilter({text: /\bdie \d+\b/i})(data).should.be.true();
+    createFilter({text: 'die \\d+ times'})(data).should.be.true();
+    createFilter({text: /dice/})(data).should.be.false();
+  });
+
+  it('matches each event against a RegExp with the g or y flag from the start', function() {
+    var data = getData('message.sent', {text: 'Roll a die 20 times'});
+    var filter = createFilter({text: /die/g});
+    filter(data).should.be.true();
+    filter(data).should.be.true();
+
+    var sticky = createFilter({text: /Roll/y});
+    sticky(data).should.be.true();
+    sticky(data).should.be.true();
+
+    var metadata = createFilter({metadata: {topic: /ring/g}});
+    var conversationData = getData('conversation.created', {metadata: {topic: 'ring'}});
+    metadata(conversationData).should.be.true();
+    metadata(conversationData).should.be.true();
+  });
+
+  it('matches Messages by sender user ID or name', function() {
+    var filter = createFilter({sender: ['frodo', 'Billing']});
+    filter(getData('message.sent', {sender: 'frodo'})).should.be.true();
+    filter(getData('message.sent', {sender: {name: 'Billing'}})).should.be.true();
+    filter(getData('message.sent', {sender: 'sam', participants: ['sam', 'merry']})).should.be.false();
+    filter(getData('conversation.created')).should.be.false();
+  });
+
+  it('matches Conversations and Messages by participant', function() {
+    var filter = createFilter({participants: ['gandalf']});
+    filter(getData('conversation.created', {participants: ['frodo', 'gandalf']})).should.be.true();
+    filter(getData('message.sent', {participants: ['frodo', 'gandalf']})).should.be.true();
+    filter(getData('message.sent', {participants: ['frodo', 'sam']})).should.be.false();
+  });
+
+  it('requires every property to match', function() {
+    var filter = createFilter({sender: ['frodo'], text: /ring/});
+    filter(getData('message.sent', {sender: 'frodo', text: 'The ring'})).should.be.true();
+    filter(getData('message.sent', {sender: 'frodo', text: 'Second breakfast'})).should.be.false();
+  });
+
+  describe('in a hook', function() {
+    var services, jobs;
+
+    beforeEach(function() {
+      services = createServices();
+      jobs = testing.recordJobs(services.queue, 'Rings');
+    });
+
+    function post(app, payload) {
+      return testing.post(app, '/rings', payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+      });
+    }
+
+    it('only creates jobs for the events that match', function() {
+      var hook = {name: 'Rings', path: '/rings', filter: {text: /ring/i}};
+      var app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+      var kept = testing.createPayload('message.sent', {text: 'One Ring to rule them all'});
+      return post(app, testing.createPayload('message.sent', {text: 'Second breakfast'})).then(function() {
+        return post(app, kept);
+      }).then(function() {
+        return jobs.next();
+      }).then(function(data) {
+        data.eventId.should.equal(kept.event.id);
+        return createServices.expectNoJob(jobs);
+      });
+    });
+
+    it('keeps the event if the filter throws an error', function() {
+      var hook = {
+        name: 'Rings',
+        path: '/rings',
+        filter: function(data) {
+          return data.message.metadata.topic === 'rings';
+        }
+      };
+      var app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+      return post(app, testing.createPayload('message.sent')).then(function() {
+        return jobs.next();
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+require('should');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Hooks with a handler', function() {
+  var services;
+
+  function post(hook, payload) {
+    var app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+    return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+      res.status.should.equal(200);
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  beforeEach(function() {
+    services = createServices();
+  });
+
+  it('calls the handler with the event data instead of creating a job in the queue', function() {
+    var payload = testing.createPayload('message.sent');
+    var queued = testing.recordJobs(services.queue, 'Monitor');
+    return new Promise(function(resolve) {
+      post({name: 'Monitor', path: '/monitor', handler: resolve}, payload);
+    }).then(function(data) {
+      data.eventId.should.equal(payload.event.id);
+      data.type.should.equal('message.sent');
+      data.message.id.should.equal(payload.message.id);
+      return createServices.expectNoJob(queued);
+    });
+  });
+
+  it('retries the event while the handler rejects, then dead-letters it', function() {
+    var calls = 0;
+    var hook = {
+      name: 'Monitor',
+      path: '/monitor',
+      attempts: 3,
+      backoff: {type: 'fixed', delay: 5},
+      handler: function() {
+        calls++;
+        return Promise.reject(new Error('Unable to reach the CRM'));
+      }
+    };
+    return post(hook, testing.createPayload('message.sent')).then(function() {
+      return wait(50);
+    }).then(function() {
+      calls.should.equal(3);
+      return new Promise(function(resolve) {
+        services.handlerQueue.getJobs('Monitor:dead', 'inactive', function(err, jobs) {
+          resolve(jobs);
+        });
+      });
+    }).then(function(deadJobs) {
+      deadJobs.length.should.equal(1);
+      deadJobs[0].data.error.should.equal('Unable to reach the CRM');
+    });
+  });
+
+  it('calls the handler for at most `concurrency` events at once', function() {
+    var active = 0;
+    var maxActive = 0;
+    var hook = {
+      name: 'Monitor',
+      path: '/monitor',
+      concurrency: 2,
+      handler: function() {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        return wait(20).then(function() {
+          active--;
+        });
+      }
+    };
+    var app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+    return Promise.all([1, 2, 3, 4].map(function() {
+      return testing.post(app, hook.path, testing.createPayload('message.sent'), 'Frodo is a Dodo');
+    })).then(function() {
+      return wait(80);
+    }).then(function() {
+      maxActive.should.equal(2);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+require('should');
+var createHandler = require('../src/handler');
+var close = require('../src/close');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Health checks', function() {
+  var hooks = [
+    {name: 'Monitor', path: '/monitor'},
+    {name: 'Bot', path: '/bot', on: {'message.sent': true, 'conversation.created': 'New Conversations'}}
+  ];
+  var services, handle;
+
+  function createWebhooksClient(webhooks, err) {
+    return {
+      list: function(callback) {
+        setImmediate(callback, err || null, {body: webhooks});
+      }
+    };
+  }
+
+  function checkHealth(path) {
+    return handle('GET', path || '/health').then(function(res) {
+      res.type.should.equal('application/json');
+      return {status: res.status, report: JSON.parse(res.body)};
+    });
+  }
+
+  beforeEach(function() {
+    services = createServices({
+      webhooksClient: createWebhooksClient([
+        {id: 'w1', status: 'active', config: {name: 'Monitor'}},
+        {id: 'w2', status: 'inactive', config: {name: 'Other'}}
+      ])
+    });
+    handle = createHandler(services, {secret: 'Frodo is a Dodo', hooks: hooks, health: true});
+  });
+
+  it('reports on each hook', function() {
+    services.queue.createJob('Monitor', {}).save();
+    services.queue.createJob('Bot:message.sent', {}).delay(1000).save();
+    services.queue.createJob('New Conversations', {}).save();
+    return checkHealth().then(function(result) {
+      result.status.should.equal(200);
+      result.report.should.eql({
+        status: 'ok',
+        redis: 'not configured',
+        hooks: {
+          Monitor: {
+            lastEventAt: null,
+            jobs: {inactive: 1, active: 0, failed: 0, delayed: 0},
+            registration: 'active'
+          },
+          Bot: {
+            lastEventAt: null,
+            jobs: {inactive: 1, active: 0, failed: 0, delayed: 1},
+            registration: 'missing'
+          }
+        }
+      });
+
+      // Clear the timer of the delayed job
+      services.queue.shutdown(0, function() {});
+    });
+  });
+
+  it('records when the last event was accepted', function() {
+    var payload = testing.sign(testing.createPayload('message.sent'), 'Frodo is a Dodo');
+    var before = Date.now();
+    return handle('POST', '/monitor', {}, {'layer-webhook-signature': payload.signature}, payload.body).then(function(res) {
+      res.status.should.equal(200);
+      return checkHealth();
+    }).then(function(result) {
+      new Date(result.report.hooks.Monitor.lastEventAt).getTime().should.be.within(before - 1000, Date.now());
+      (result.report.hooks.Bot.lastEventAt === null).should.be.true();
+    });
+  });
+
+  it('reports an error if Redis can not be reached', function() {
+    services.redis = {
+      ping: function(callback) {
+        callback(new Error('Connection refused'));
+      }
+    };
+    return checkHealth().then(function(result) {
+      result.status.should.equal(503);
+      result.report.status.should.equal('error');
+      result.report.redis.should.equal('error: Connection refused');
+    });
+  });
+
+  it('reports an unknown registration without failing if the webhooks can not be listed', function() {
+    services.webhooksClient = createWebhooksClient(null, new Error('Layer is down'));
+    handle = createHandler(services, {secret: 'Frodo is a Dodo', hooks: hooks, health: true});
+    return checkHealth().then(function(result) {
+      result.status.should.equal(200);
+      result.report.hooks.Monitor.registration.should.equal('unknown');
+    });
+  });
+
+  it('reports an error if the jobs can not be counted', function() {
+    services.queue.getJobCounts = function(type, callback) {
+      callback(new Error('Queue unavailable'));
+    };
+    return checkHealth().then(function(result) {
+      result.status.should.equal(503);
+      result.report.status.should.equal('error');
+      (result.report.hooks.Monitor.jobs === null).should.be.true();
+    });
+  });
+
+  it('reports that the services are closing', function() {
+    return close(services, 10).then(function() {
+      return checkHealth();
+    }).then(function(result) {
+      result.status.should.equal(503);
+      result.report.status.should.equal('closing');
+    });
+  });
+
+  it('serves the report at the path given', function() {
+    handle = createHandler(services, {secret: 'Frodo is a Dodo', hooks: hooks, health: '/status'});
+    handle.paths.should.containEql('/status');
+    return checkHealth('/status').then(function(result) {
+      result.status.should.equal(200);
+    });
+  });
+});
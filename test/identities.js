@@ -0,0 +1,137 @@
+require('should');
+var express = require('express');
+var IdentityCache = require('../src/identities');
+var receipts = require('../src/receipts');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Identity cache', function() {
+  var lookups;
+
+  // Look up identities as `{displayName}`; users named in `failures` fail with that error, and 'slow' never answers
+  function createFetch(failures) {
+    return function(userId, callback) {
+      lookups.push(userId);
+      if (userId === 'slow') return;
+      if (failures && failures[userId]) return setImmediate(callback, new Error(failures[userId]));
+      setImmediate(callback, null, {displayName: userId.toUpperCase()});
+    };
+  }
+
+  function getIdentities(cache, userIds, fetch) {
+    return new Promise(function(resolve) {
+      cache.getIdentities(userIds, fetch, function(identities, errors) {
+        resolve({identities: identities, errors: errors});
+      });
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  beforeEach(function() {
+    lookups = [];
+  });
+
+  it('looks up each user once, however often they are asked for', function() {
+    var cache = new IdentityCache();
+    var fetch = createFetch();
+    return Promise.all([
+      getIdentities(cache, ['frodo', 'sam', 'frodo'], fetch),
+      getIdentities(cache, ['frodo'], fetch)
+    ]).then(function(results) {
+      results[0].identities.should.eql({frodo: {displayName: 'FRODO'}, sam: {displayName: 'SAM'}});
+      results[1].identities.should.eql({frodo: {displayName: 'FRODO'}});
+      lookups.should.eql(['frodo', 'sam']);
+      return getIdentities(cache, ['sam'], fetch);
+    }).then(function() {
+      lookups.should.eql(['frodo', 'sam']);
+    });
+  });
+
+  it('caches the identities of each lookup function separately', function() {
+    var cache = new IdentityCache();
+    return getIdentities(cache, ['frodo'], createFetch()).then(function() {
+      return getIdentities(cache, ['frodo'], createFetch());
+    }).then(function() {
+      lookups.should.eql(['frodo', 'frodo']);
+    });
+  });
+
+  it('looks identities up again once the ttl has passed', function() {
+    var cache = new IdentityCache(null, {ttl: 20});
+    var fetch = createFetch();
+    return getIdentities(cache, ['frodo'], fetch).then(function() {
+      return wait(30);
+    }).then(function() {
+      return getIdentities(cache, ['frodo'], fetch);
+    }).then(function() {
+      lookups.should.eql(['frodo', 'frodo']);
+    });
+  });
+
+  it('drops the least recently used identities beyond maxSize', function() {
+    var cache = new IdentityCache(null, {maxSize: 2});
+    var fetch = createFetch();
+    return getIdentities(cache, ['frodo', 'sam'], fetch).then(function() {
+      // Using frodo leaves sam as the least recently used
+      return getIdentities(cache, ['frodo'], fetch);
+    }).then(function() {
+      return getIdentities(cache, ['merry'], fetch);
+    }).then(function() {
+      cache.size.should.equal(2);
+      return getIdentities(cache, ['frodo', 'sam'], fetch);
+    }).then(function() {
+      lookups.should.eql(['frodo', 'sam', 'merry', 'sam']);
+    });
+  });
+
+  it('reports failed and timed out lookups without caching them', function() {
+    var cache = new IdentityCache(null, {timeout: 20});
+    var fetch = createFetch({sam: 'Unknown user'});
+    return getIdentities(cache, ['frodo', 'sam', 'slow'], fetch).then(function(result) {
+      result.identities.should.eql({frodo: {displayName: 'FRODO'}, sam: null, slow: null});
+      result.errors.should.eql({sam: 'Unknown user', slow: 'Identity lookup timed out after 20ms'});
+      return getIdentities(cache, ['frodo', 'sam'], fetch);
+    }).then(function() {
+      lookups.should.eql(['frodo', 'sam', 'slow', 'sam']);
+    });
+  });
+
+  it('looks identities up with Layer\'s Identity service by default', function() {
+    var layerClient = {
+      identities: {
+        get: function(userId, callback) {
+          lookups.push(userId);
+          setImmediate(callback, null, {body: {display_name: 'Frodo'}});
+        }
+      }
+    };
+    return getIdentities(new IdentityCache(layerClient), ['frodo']).then(function(result) {
+      result.identities.should.eql({frodo: {display_name: 'Frodo'}});
+      lookups.should.eql(['frodo']);
+    });
+  });
+
+  it('gives receipts reports the identityErrors of users that could not be looked up', function() {
+    var services = createServices({identityCache: new IdentityCache(null, {timeout: 20})});
+    var app = express();
+    var jobs = testing.recordJobs(services.queue, 'Unread');
+    var message = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam', 'slow']});
+    var hook = {
+      name: 'Unread',
+      path: '/unread',
+      receipts: {delay: 10, reportForStatus: ['sent'], identities: createFetch()}
+    };
+    receipts(services, {expressApp: app, secret: 'Frodo is a Dodo', sweepInterval: false, hooks: [hook]});
+    return testing.post(app, '/unread', testing.createPayload('message.sent', {message: message}), 'Frodo is a Dodo').then(function() {
+      return jobs.next();
+    }).then(function(data) {
+      data.identities.should.eql({frodo: {displayName: 'FRODO'}, sam: {displayName: 'SAM'}, slow: null});
+      data.identityErrors.should.eql({slow: 'Identity lookup timed out after 20ms'});
+    });
+  });
+});
@@ -0,0 +1,102 @@
+require('should');
+var Logger = require('../src/logger');
+var createHandler = require('../src/handler');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Logger', function() {
+  var lines;
+
+  // A pino style logger recording each line as `[level, fields, message]`
+  function createBase() {
+    var base = {};
+    ['debug', 'info', 'warn', 'error'].forEach(function(level) {
+      base[level] = function(fields, message) {
+        lines.push([level, fields, message]);
+      };
+    });
+    return base;
+  }
+
+  beforeEach(function() {
+    lines = [];
+  });
+
+  it('adds the fields of the logger and its parents to each line', function() {
+    var logger = new Logger(createBase(), {hook: 'Monitor'}).child({jobId: 12});
+    logger.warn('Job failed', {attempt: 3});
+    lines.should.eql([['warn', {hook: 'Monitor', jobId: 12, attempt: 3}, 'Job failed']]);
+  });
+
+  it('gets the fields that identify an event or job', function() {
+    var payload = testing.createPayload('message.sent');
+    var data = {eventId: payload.event.id, type: 'message.sent', message: payload.message};
+    var fields = {
+      eventId: payload.event.id,
+      eventType: 'message.sent',
+      conversationId: payload.message.conversation.id,
+      messageId: payload.message.id
+    };
+    Logger.getEventFields(data).should.eql(fields);
+    fields.jobId = 12;
+    Logger.getJobFields({id: 12, data: data}).should.eql(fields);
+  });
+
+  it('wraps a winston logger', function() {
+    var calls = [];
+    var winston = {
+      info: function(message, fields) {
+        calls.push([message, fields]);
+      }
+    };
+    new Logger(Logger.fromWinston(winston), {hook: 'Monitor'}).info('Received webhook');
+    calls.should.eql([['Received webhook', {hook: 'Monitor'}]]);
+  });
+
+  it('writes warnings and errors to stderr as JSON by default', function() {
+    var write = process.stderr.write;
+    var written = [];
+    process.stderr.write = function(line) {
+      written.push(line);
+    };
+    try {
+      var logger = new Logger().child({hook: 'Monitor', skipped: undefined});
+      logger.error('Unable to create job', {err: new Error('Queue unavailable')});
+      logger.debug('Created job');
+    } finally {
+      process.stderr.write = write;
+    }
+    written.length.should.equal(1);
+    var line = JSON.parse(written[0]);
+    line.level.should.equal('error');
+    line.hook.should.equal('Monitor');
+    line.should.not.have.property('skipped');
+    line.err.message.should.equal('Queue unavailable');
+    line.err.stack.should.be.a.String();
+    line.msg.should.equal('Unable to create job');
+  });
+
+  it('traces an event from the webhook request to its job', function() {
+    var services = createServices({logger: new Logger(createBase())});
+    var handle = createHandler(services, {secret: 'Frodo is a Dodo', hooks: [{name: 'Monitor', path: '/monitor'}]});
+    var payload = testing.createPayload('message.sent');
+    var signed = testing.sign(payload, 'Frodo is a Dodo');
+    return handle('POST', '/monitor', {}, {'layer-webhook-signature': signed.signature}, signed.body).then(function() {
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      });
+    }).then(function() {
+      var created = lines.filter(function(line) {
+        return line[2] === 'Created job';
+      })[0];
+      created[1].should.containEql({
+        hook: 'Monitor',
+        eventId: payload.event.id,
+        eventType: 'message.sent',
+        messageId: payload.message.id,
+        jobType: 'Monitor'
+      });
+      created[1].jobId.should.be.a.Number();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+require('should');
+var MemoryQueue = require('../src/queues/memory');
+
+describe('MemoryQueue', function() {
+  function getJobs(queue, type, state) {
+    return new Promise(function(resolve) {
+      queue.getJobs(type, state, function(err, jobs) {
+        resolve(jobs.map(function(job) {
+          return job.data.n;
+        }));
+      });
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  it('runs jobs of each type with its processor', function() {
+    var queue = new MemoryQueue();
+    var processed = [];
+    queue.process('Monitor', function(job, done) {
+      processed.push(job.data.n);
+      done();
+    });
+    queue.createJob('Monitor', {n: 1}).save();
+    queue.createJob('Other', {n: 2}).save();
+    processed.should.eql([1]);
+  });
+
+  it('keeps jobs created before their type has a processor until process() is called', function() {
+    var queue = new MemoryQueue();
+    var processed = [];
+    queue.createJob('Monitor', {n: 1}).save();
+    queue.process('Monitor', function(job, done) {
+      processed.push(job.data.n);
+      done();
+    });
+    processed.should.eql([1]);
+  });
+
+  it('runs at most `concurrency` jobs of a type at once', function() {
+    var queue = new MemoryQueue();
+    var finish = [];
+    queue.process('Monitor', 2, function(job, done) {
+      finish.push(done);
+    });
+    [1, 2, 3].forEach(function(n) {
+      queue.createJob('Monitor', {n: n}).save();
+    });
+    finish.length.should.equal(2);
+    queue.getActiveCount().should.equal(2);
+    finish[0]();
+    finish.length.should.equal(3);
+  });
+
+  it('runs a job once its delay has passed', function() {
+    var queue = new MemoryQueue();
+    var processed = [];
+    queue.process('Monitor', function(job, done) {
+      processed.push(job.data.n);
+      done();
+    });
+    queue.createJob('Monitor', {n: 1}).delay(30).save();
+    return getJobs(queue, 'Monitor', 'delayed').then(function(delayed) {
+      delayed.should.eql([1]);
+      return wait(50);
+    }).then(function() {
+      processed.should.eql([1]);
+    });
+  });
+
+  it('retries a failed job with backoff until its attempts are used up', function() {
+    var queue = new MemoryQueue();
+    var attemptTimes = [];
+    var failed = [];
+    queue.process('Monitor', function(job, done) {
+      attemptTimes.push(Date.now());
+      done(new Error('Attempt ' + job.attemptsMade + ' failed'));
+    });
+    queue.onFailed('Monitor', function(job, err) {
+      failed.push(err.message);
+    });
+    queue.createJob('Monitor', {n: 1}).attempts(3).backoff({type: 'exponential', delay: 20}).save();
+    return wait(100).then(function() {
+      attemptTimes.length.should.equal(3);
+      (attemptTimes[2] - attemptTimes[1]).should.be.above(attemptTimes[1] - attemptTimes[0]);
+      failed.should.eql(['Attempt 3 failed']);
+      return getJobs(queue, 'Monitor', 'failed');
+    }).then(function(jobs) {
+      jobs.should.eql([1]);
+    });
+  });
+
+  it('fails an attempt that takes longer than its ttl', function() {
+    var queue = new MemoryQueue();
+    var failed = [];
+    queue.process('Monitor', function() {});
+    queue.onFailed('Monitor', function(job, err) {
+      failed.push(err.message);
+    });
+    queue.createJob('Monitor', {n: 1}).ttl(20).save();
+    return wait(40).then(function() {
+      failed.should.eql(['TTL exceeded']);
+      queue.getActiveCount().should.equal(0);
+    });
+  });
+
+  it('calls the onComplete callbacks, and forgets completed jobs', function() {
+    var queue = new MemoryQueue();
+    var completed = [];
+    queue.process('Monitor', function(job, done) {
+      done();
+    });
+    queue.onComplete('Monitor', function(job) {
+      completed.push(job.data.n);
+    });
+    queue.createJob('Monitor', {n: 1}).save();
+    completed.should.eql([1]);
+    Object.keys(queue.jobs).should.be.empty();
+  });
+
+  it('counts the jobs of a type in each state', function() {
+    var queue = new MemoryQueue();
+    queue.createJob('Monitor', {n: 1}).save();
+    var delayed = queue.createJob('Monitor', {n: 2}).delay(1000).save();
+    return new Promise(function(resolve) {
+      queue.getJobCounts('Monitor', function(err, counts) {
+        resolve(counts);
+      });
+    }).then(function(counts) {
+      counts.should.eql({inactive: 1, active: 0, failed: 0, delayed: 1});
+      delayed.remove();
+      return getJobs(queue, 'Monitor', 'delayed');
+    }).then(function(jobs) {
+      jobs.should.be.empty();
+    });
+  });
+
+  it('waits for active jobs on shutdown, and starts no more', function() {
+    var queue = new MemoryQueue();
+    var processed = [];
+    queue.process('Monitor', function(job, done) {
+      processed.push(job.data.n);
+      setTimeout(done, 20);
+    });
+    queue.createJob('Monitor', {n: 1}).save();
+    queue.createJob('Monitor', {n: 2}).save();
+    return new Promise(function(resolve, reject) {
+      queue.shutdown(1000, function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    }).then(function() {
+      processed.should.eql([1]);
+      queue.getActiveCount().should.equal(0);
+    });
+  });
+
+  describe('retention', function() {
+    it('keeps the latest maxFailed failed jobs of each type', function() {
+      var queue = new MemoryQueue({maxFailed: 2});
+      queue.process('Monitor', function(job, done) {
+        done(new Error('Failed'));
+      });
+      queue.process('Other', function(job, done) {
+        done(new Error('Failed'));
+      });
+      [1, 2, 3].forEach(function(n) {
+        queue.createJob('Monitor', {n: n}).save();
+      });
+      queue.createJob('Other', {n: 4}).save();
+      return getJobs(queue, 'Monitor', 'failed').then(function(failed) {
+        failed.should.eql([2, 3]);
+        return getJobs(queue, 'Other', 'failed');
+      }).then(function(failed) {
+        failed.should.eql([4]);
+      });
+    });
+
+    it('keeps the latest maxUnprocessed jobs of a type with no processor', function() {
+      var queue = new MemoryQueue({maxUnprocessed: 2});
+      [1, 2, 3].forEach(function(n) {
+        queue.createJob('Monitor:dead', {n: n}).save();
+      });
+      return getJobs(queue, 'Monitor:dead', 'inactive').then(function(waiting) {
+        waiting.should.eql([2, 3]);
+        queue.pending['Monitor:dead'].length.should.equal(2);
+      });
+    });
+
+    it('keeps jobs waiting for a busy processor', function() {
+      var queue = new MemoryQueue({maxUnprocessed: 1});
+      var processed = [];
+      queue.process('Monitor', function(job, done) {
+        processed.push(job.data.n);
+        setImmediate(done);
+      });
+      [1, 2, 3].forEach(function(n) {
+        queue.createJob('Monitor', {n: n}).save();
+      });
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      }).then(function() {
+        processed.should.eql([1, 2, 3]);
+      });
+    });
+  });
+});
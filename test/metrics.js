@@ -0,0 +1,83 @@
+require('should');
+var Metrics = require('../src/metrics');
+var MemoryQueue = require('../src/queues/memory');
+var createHandler = require('../src/handler');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Metrics', function() {
+  var metrics;
+
+  // Get the lines of the formatted metrics that aren't comments
+  function getSamples(name) {
+    return metrics.format().split('\n').filter(function(line) {
+      return line.indexOf('layer_webhooks_' + name) === 0;
+    });
+  }
+
+  beforeEach(function() {
+    metrics = new Metrics();
+  });
+
+  it('formats counters with their help, type and labels', function() {
+    metrics.inc('received_total', {hook: 'Monitor', event_type: 'message.sent'});
+    metrics.inc('received_total', {hook: 'Monitor', event_type: 'message.sent'}, 2);
+    metrics.inc('received_total', {hook: 'Say "hi"\\n', event_type: 'message.read'});
+    var output = metrics.format();
+    output.should.containEql('# HELP layer_webhooks_received_total Webhook events with a valid signature\n');
+    output.should.containEql('# TYPE layer_webhooks_received_total counter\n');
+    getSamples('received_total').should.eql([
+      'layer_webhooks_received_total{hook="Monitor",event_type="message.sent"} 3',
+      'layer_webhooks_received_total{hook="Say \\"hi\\"\\\\n",event_type="message.read"} 1'
+    ]);
+    output.should.match(/\n$/);
+  });
+
+  it('formats histograms with cumulative buckets, a sum and a count', function() {
+    metrics.observe('event_latency_seconds', {job_type: 'Monitor'}, 0.3);
+    metrics.observe('event_latency_seconds', {job_type: 'Monitor'}, 4000);
+    var samples = getSamples('event_latency_seconds');
+    samples.should.containEql('layer_webhooks_event_latency_seconds_bucket{job_type="Monitor",le="0.1"} 0');
+    samples.should.containEql('layer_webhooks_event_latency_seconds_bucket{job_type="Monitor",le="0.5"} 1');
+    samples.should.containEql('layer_webhooks_event_latency_seconds_bucket{job_type="Monitor",le="3600"} 1');
+    samples.should.containEql('layer_webhooks_event_latency_seconds_bucket{job_type="Monitor",le="+Inf"} 2');
+    samples.should.containEql('layer_webhooks_event_latency_seconds_sum{job_type="Monitor"} 4000.3');
+    samples.should.containEql('layer_webhooks_event_latency_seconds_count{job_type="Monitor"} 2');
+  });
+
+  it('counts completed and failed jobs once however often they are tracked', function() {
+    var queue = new MemoryQueue();
+    metrics.trackJobs(queue, 'Monitor');
+    metrics.trackJobs(queue, 'Monitor');
+    queue.process('Monitor', function(job, done) {
+      done(job.data.fail ? new Error('Failed') : null);
+    });
+    queue.createJob('Monitor', {timestamp: new Date().toISOString()}).save();
+    queue.createJob('Monitor', {fail: true}).save();
+    getSamples('jobs_completed_total').should.eql(['layer_webhooks_jobs_completed_total{job_type="Monitor"} 1']);
+    getSamples('jobs_failed_total').should.eql(['layer_webhooks_jobs_failed_total{job_type="Monitor"} 1']);
+    getSamples('event_latency_seconds_count').should.eql(['layer_webhooks_event_latency_seconds_count{job_type="Monitor"} 1']);
+  });
+
+  it('is served by the metrics route and counts webhook requests', function() {
+    var services = createServices({metrics: metrics});
+    var handle = createHandler(services, {secret: 'Frodo is a Dodo', hooks: [{name: 'Monitor', path: '/monitor'}], metrics: true});
+    var signed = testing.sign(testing.createPayload('message.sent'), 'Frodo is a Dodo');
+    return handle('POST', '/monitor', {}, {'layer-webhook-signature': signed.signature}, signed.body).then(function() {
+      return handle('POST', '/monitor', {}, {'layer-webhook-signature': 'forged'}, signed.body);
+    }).then(function() {
+      // Jobs are counted once they are saved
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      });
+    }).then(function() {
+      return handle('GET', '/metrics');
+    }).then(function(res) {
+      res.status.should.equal(200);
+      res.type.should.equal(Metrics.CONTENT_TYPE);
+      res.body.should.containEql('layer_webhooks_received_total{hook="Monitor",event_type="message.sent"} 1\n');
+      res.body.should.containEql('layer_webhooks_signature_failures_total{hook="Monitor"} 1\n');
+      res.body.should.containEql('layer_webhooks_jobs_created_total{job_type="Monitor"} 1\n');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+require('should');
+var createQuietHours = require('../src/quiet-hours');
+
+describe('Quiet hours', function() {
+  var HOUR = 60 * 60 * 1000;
+
+  it('defers until the end of quiet hours that span midnight', function() {
+    var getDelay = createQuietHours({start: '22:00', end: '07:00'}, 'Unread');
+    getDelay('frodo', null, new Date('2026-01-15T23:00:00Z')).should.equal(8 * HOUR);
+    getDelay('frodo', null, new Date('2026-01-15T06:30:00Z')).should.equal(HOUR / 2);
+  });
+
+  it('does not defer outside of quiet hours', function() {
+    var getDelay = createQuietHours({start: '22:00', end: '07:00'}, 'Unread');
+    getDelay('frodo', null, new Date('2026-01-15T07:00:00Z')).should.equal(0);
+    getDelay('frodo', null, new Date('2026-01-15T21:59:00Z')).should.equal(0);
+  });
+
+  it('reads the time zone from the path within the Identity data', function() {
+    var getDelay = createQuietHours({start: '22:00', end: '07:00', timezone: 'metadata.timezone'}, 'Unread');
+    var identity = {metadata: {timezone: 'America/New_York'}};
+    getDelay.usesIdentities.should.be.true();
+
+    // 22:00 in New York
+    getDelay('frodo', identity, new Date('2026-01-16T03:00:00Z')).should.equal(9 * HOUR);
+  });
+
+  it('gets the time zone from a function, called with the Identity data', function() {
+    var calls = [];
+    var getDelay = createQuietHours({
+      start: '22:00',
+      end: '07:00',
+      timezone: function(userId, identity) {
+        calls.push([userId, identity]);
+        return 'Asia/Tokyo';
+      }
+    }, 'Unread');
+    getDelay.usesIdentities.should.be.true();
+
+    // 23:00 in Tokyo
+    getDelay('frodo', {displayName: 'Frodo'}, new Date('2026-01-15T14:00:00Z')).should.equal(8 * HOUR);
+    calls.should.eql([['frodo', {displayName: 'Frodo'}]]);
+  });
+
+  it('uses the default time zone for unknown or invalid time zones', function() {
+    var getDelay = createQuietHours({
+      start: '22:00',
+      end: '07:00',
+      timezone: 'metadata.timezone',
+      defaultTimezone: 'Europe/Paris'
+    }, 'Unread');
+
+    // 23:00 in Paris, 22:00 UTC
+    var now = new Date('2026-01-15T22:00:00Z');
+    getDelay('frodo', null, now).should.equal(8 * HOUR);
+    getDelay('frodo', {metadata: {timezone: 'Middle/Earth'}}, now).should.equal(8 * HOUR);
+  });
+
+  it('does not need Identity data without a timezone', function() {
+    createQuietHours({start: '22:00', end: '07:00'}, 'Unread').usesIdentities.should.be.false();
+  });
+
+  it('rejects invalid times and default time zones', function() {
+    (function() {
+      createQuietHours({start: '10pm', end: '07:00'}, 'Unread');
+    }).should.throw(/^Unread: quietHours.start and quietHours.end must be times/);
+    (function() {
+      createQuietHours({start: '22:00', end: '07:00', defaultTimezone: 'Middle/Earth'}, 'Unread');
+    }).should.throw('Unread: quietHours.defaultTimezone is not a valid time zone: Middle/Earth');
+  });
+});
@@ -0,0 +1,287 @@
+require('should');
+var express = require('express');
+var receipts = require('../src/receipts');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Receipts', function() {
+  var services, app;
+
+  function listen(receiptsOptions) {
+    var hook = {name: 'Unread', path: '/unread', receipts: receiptsOptions};
+    receipts(services, {expressApp: app, secret: 'Frodo is a Dodo', sweepInterval: false, hooks: [hook]});
+  }
+
+  function post(type, message) {
+    return testing.post(app, '/unread', testing.createPayload(type, {message: message}), 'Frodo is a Dodo').then(function(res) {
+      res.status.should.equal(200);
+    });
+  }
+
+  // Copy a Message with some recipients' statuses changed, as Layer sends it in later events
+  function withStatus(message, statuses) {
+    var copy = JSON.parse(JSON.stringify(message));
+    Object.keys(statuses).forEach(function(userId) {
+      copy.recipient_status[userId] = statuses[userId];
+    });
+    return copy;
+  }
+
+  function getStoredKeys() {
+    return Object.keys(services.receiptsStore.entries);
+  }
+
+  beforeEach(function() {
+    services = createServices();
+    app = express();
+  });
+
+  describe('with a delay', function() {
+    var message;
+
+    beforeEach(function() {
+      listen({delay: 50, reportForStatus: ['sent', 'delivered']});
+      message = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam', 'merry', 'pippin']});
+    });
+
+    it('reports the recipients still in a reported status once the delay has passed', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      return post('message.sent', message).then(function() {
+        return post('message.delivered', withStatus(message, {sam: 'delivered'}));
+      }).then(function() {
+        return post('message.read', withStatus(message, {sam: 'delivered', merry: 'read'}));
+      }).then(function() {
+        return jobs.next();
+      }).then(function(data) {
+        data.recipients.sort().should.eql(['pippin', 'sam']);
+        data.message.id.should.equal(message.id);
+        data.stage.should.equal('Unread');
+        return createServices.expectNoJob(jobs);
+      }).then(function() {
+        getStoredKeys().should.be.empty();
+      });
+    });
+
+    it('does not report a Message that every recipient has read', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      return post('message.sent', message).then(function() {
+        return post('message.read', withStatus(message, {sam: 'read', merry: 'read', pippin: 'read'}));
+      }).then(function() {
+        return createServices.expectNoJob(jobs);
+      }).then(function() {
+        getStoredKeys().should.be.empty();
+      });
+    });
+
+    it('does not report a deleted Message', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      return post('message.sent', message).then(function() {
+        return post('message.deleted', message);
+      }).then(function() {
+        return createServices.expectNoJob(jobs);
+      });
+    });
+
+    it('ignores Messages sent by the Platform API', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      var platformMessage = testing.createMessage({sender: {name: 'Billing'}});
+      return post('message.sent', platformMessage).then(function() {
+        return createServices.expectNoJob(jobs);
+      }).then(function() {
+        getStoredKeys().should.be.empty();
+      });
+    });
+  });
+
+  describe('with stages', function() {
+    var message, jobs;
+
+    beforeEach(function() {
+      listen({
+        stages: [
+          {name: 'Unread Push', delay: 50, reportForStatus: ['sent', 'delivered']},
+          {name: 'Undelivered Email', delay: 100, reportForStatus: ['sent']}
+        ]
+      });
+      message = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam', 'merry']});
+      jobs = {
+        push: testing.recordJobs(services.queue, 'Unread Push'),
+        email: testing.recordJobs(services.queue, 'Undelivered Email')
+      };
+    });
+
+    it('reports each stage on the recipients in its statuses', function() {
+      return post('message.sent', message).then(function() {
+        return post('message.delivered', withStatus(message, {merry: 'delivered'}));
+      }).then(function() {
+        return jobs.push.next();
+      }).then(function(data) {
+        data.recipients.sort().should.eql(['merry', 'sam']);
+        data.stage.should.equal('Unread Push');
+        return jobs.email.next();
+      }).then(function(data) {
+        data.recipients.should.eql(['sam']);
+        data.stage.should.equal('Undelivered Email');
+      });
+    });
+
+    it('skips the remaining stages once no recipient is in their statuses', function() {
+      return post('message.sent', message).then(function() {
+        return post('message.delivered', withStatus(message, {sam: 'delivered', merry: 'delivered'}));
+      }).then(function() {
+        return jobs.push.next();
+      }).then(function() {
+        getStoredKeys().should.be.empty();
+        return createServices.expectNoJob(jobs.email, 150);
+      });
+    });
+  });
+
+  describe('with attempts, backoff and timeout', function() {
+    it('uses them for the checks and digests as well as the reports', function() {
+      var settings = {};
+      var createJob = services.queue.createJob;
+      services.queue.createJob = function(type) {
+        var job = createJob.apply(this, arguments);
+        var save = job.save;
+        job.save = function() {
+          settings[type] = {attempts: job.maxAttempts, backoff: job.backoffOptions, ttl: job.ttlMs};
+          return save.apply(this, arguments);
+        };
+        return job;
+      };
+      var hook = {
+        name: 'Unread',
+        path: '/unread',
+        attempts: 3,
+        backoff: {type: 'fixed', delay: 500},
+        timeout: '5s',
+        receipts: {
+          stages: [
+            {name: 'Unread', delay: 20, reportForStatus: ['sent']},
+            {name: 'Unread Digest', delay: 40, reportForStatus: ['sent'], digest: {window: 20}}
+          ]
+        }
+      };
+      receipts(services, {expressApp: app, secret: 'Frodo is a Dodo', sweepInterval: false, hooks: [hook]});
+
+      var jobs = testing.recordJobs(services.queue, 'Unread Digest');
+      return post('message.sent', testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']})).then(function() {
+        return jobs.next();
+      }).then(function() {
+        var expected = {attempts: 3, backoff: {type: 'fixed', delay: 500}, ttl: 5000};
+        ['Unread:receipts delayed-job', 'Unread:receipts digest', 'Unread', 'Unread Digest'].forEach(function(type) {
+          settings[type].should.eql(expected);
+        });
+      });
+    });
+  });
+
+  describe('with quiet hours', function() {
+    // Quiet hours from an hour before the current UTC hour to an hour after it
+    function getQuietHours(timezone) {
+      var hour = new Date().getUTCHours();
+      return {start: (hour + 23) % 24 + ':00', end: (hour + 1) % 24 + ':00', timezone: timezone};
+    }
+
+    afterEach(function(done) {
+      services.queue.shutdown(0, done);
+    });
+
+    it('defers the check for recipients within their quiet hours', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      var message = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']});
+      listen({delay: 20, reportForStatus: ['sent'], quietHours: getQuietHours()});
+      return post('message.sent', message).then(function() {
+        return createServices.expectNoJob(jobs);
+      }).then(function() {
+        return new Promise(function(resolve) {
+          services.queue.getJobs('Unread:receipts delayed-job', 'delayed', function(err, deferred) {
+            resolve(deferred);
+          });
+        });
+      }).then(function(deferred) {
+        deferred.length.should.equal(1);
+        deferred[0].data.recipients.should.eql(['sam']);
+        new Date(deferred[0].data.deferredUntil).getTime().should.be.above(Date.now());
+      });
+    });
+
+    it('passes the Identity data to a timezone function', function() {
+      var identities = [];
+      var message = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']});
+      listen({
+        delay: 20,
+        reportForStatus: ['sent'],
+        identities: function(userId, callback) {
+          callback(null, {displayName: userId.toUpperCase()});
+        },
+        quietHours: getQuietHours(function(userId, identity) {
+          identities.push(identity);
+          return 'UTC';
+        })
+      });
+      return post('message.sent', message).then(function() {
+        return createServices.expectNoJob(testing.recordJobs(services.queue, 'Unread'));
+      }).then(function() {
+        identities.should.eql([{displayName: 'SAM'}]);
+      });
+    });
+  });
+
+  describe('with a digest', function() {
+    beforeEach(function() {
+      listen({delay: 20, reportForStatus: ['sent'], digest: {window: 80}});
+    });
+
+    it('reports the flagged Messages of each recipient in one job', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      var first = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']});
+      var second = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']});
+      return post('message.sent', first).then(function() {
+        return post('message.sent', second);
+      }).then(function() {
+        return jobs.next();
+      }).then(function(data) {
+        data.recipient.should.equal('sam');
+        data.conversations.length.should.equal(2);
+        data.conversations.map(function(item) {
+          return item.messages[0].id;
+        }).should.eql([first.id, second.id]);
+        return createServices.expectNoJob(jobs);
+      });
+    });
+
+    it('starts a new digest if the digest could not be scheduled', function() {
+      var jobs = testing.recordJobs(services.queue, 'Unread');
+      var createJob = services.queue.createJob;
+      var failures = 1;
+      services.queue.createJob = function(type) {
+        var job = createJob.apply(this, arguments);
+        if (type === 'Unread:receipts digest' && failures) {
+          failures--;
+          job.save = function(callback) {
+            callback(new Error('Unable to reach the queue'));
+          };
+        }
+        return job;
+      };
+
+      var first = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']});
+      var second = testing.createMessage({sender: 'frodo', participants: ['frodo', 'sam']});
+      return post('message.sent', first).then(function() {
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 50);
+        });
+      }).then(function() {
+        return post('message.sent', second);
+      }).then(function() {
+        return jobs.next();
+      }).then(function(data) {
+        data.conversations.map(function(item) {
+          return item.messages[0].id;
+        }).should.eql([second.id]);
+      });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+require('should');
+var register = require('../src/register');
+var createServices = require('./support/services');
+
+describe('Registering webhooks', function() {
+  var URL = 'https://staging.example.com';
+  var client, calls, services;
+
+  /**
+   * Layer's webhooks client, listing the specified webhooks and recording each change made.
+   */
+  function createClient(webhooks) {
+    var nextId = 1;
+    return {
+      list: function(callback) {
+        setImmediate(callback, null, {body: webhooks});
+      },
+      register: function(options, callback) {
+        calls.push('register ' + options.url);
+        setImmediate(callback, client.failures[options.config.name] || null, {body: {id: 'new-' + nextId++}});
+      },
+      'delete': function(id, callback) {
+        calls.push('delete ' + id);
+        setImmediate(callback, null);
+      },
+      enable: function(id, callback) {
+        calls.push('enable ' + id);
+        setImmediate(callback, null);
+      },
+      failures: {} // Errors to register hooks with, indexed by hook name
+    };
+  }
+
+  function createWebhook(id, name, targetUrl, options) {
+    var webhook = {
+      id: id,
+      target_url: targetUrl,
+      events: ['message.sent'],
+      status: 'active',
+      config: {name: name}
+    };
+    Object.keys(options || {}).forEach(function(key) {
+      webhook[key] = options[key];
+    });
+    return webhook;
+  }
+
+  function run(options) {
+    options.url = options.url || URL;
+    options.secret = options.secret || 'Frodo is a Dodo';
+    options.hooks = options.hooks || [{name: 'Hook', path: '/hook', events: ['message.sent']}];
+    return register(services, options);
+  }
+
+  beforeEach(function() {
+    calls = [];
+  });
+
+  function listWebhooks(webhooks) {
+    client = createClient(webhooks);
+    services = createServices({webhooksClient: client});
+  }
+
+  it('registers hooks that are not registered, and leaves those that are', function() {
+    listWebhooks([createWebhook('w1', 'Hook', URL + '/hook')]);
+    return run({
+      hooks: [
+        {name: 'Hook', path: '/hook', events: ['message.sent']},
+        {name: 'Other', path: '/other', events: ['message.read']}
+      ]
+    }).then(function(report) {
+      calls.should.eql(['register ' + URL + '/other']);
+      report.unchanged.should.eql([{name: 'Hook', id: 'w1', url: URL + '/hook'}]);
+      report.created.should.eql([{name: 'Other', id: 'new-1', url: URL + '/other'}]);
+    });
+  });
+
+  it('enables inactive webhooks', function() {
+    listWebhooks([createWebhook('w1', 'Hook', URL + '/hook', {status: 'inactive'})]);
+    return run({}).then(function(report) {
+      calls.should.eql(['enable w1']);
+      report.enabled.length.should.equal(1);
+    });
+  });
+
+  describe('with sync', function() {
+    it('replaces a webhook whose events have changed, registering before deleting', function() {
+      listWebhooks([createWebhook('w1', 'Hook', URL + '/hook')]);
+      return run({sync: true, hooks: [{name: 'Hook', path: '/hook', events: ['message.sent', 'message.read']}]}).then(function(report) {
+        calls.should.eql(['register ' + URL + '/hook', 'delete w1']);
+        report.updated.should.eql([{name: 'Hook', id: 'new-1', url: URL + '/hook', changes: ['events']}]);
+      });
+    });
+
+    it('replaces a webhook under the url whose path has changed', function() {
+      listWebhooks([createWebhook('w1', 'Hook', URL + '/old-path')]);
+      return run({sync: true}).then(function(report) {
+        calls.should.eql(['register ' + URL + '/hook', 'delete w1']);
+        report.updated[0].changes.should.eql(['url']);
+      });
+    });
+
+    it('keeps the old webhook if the new one can not be registered', function() {
+      listWebhooks([createWebhook('w1', 'Hook', URL + '/old-path')]);
+      client.failures.Hook = new Error('Layer is down');
+      return run({sync: true}).then(function() {
+        throw new Error('Expected register to fail');
+      }, function(err) {
+        calls.should.eql(['register ' + URL + '/hook']);
+        err.report.failed[0].name.should.equal('Hook');
+      });
+    });
+
+    it('leaves webhooks with the same name at other urls alone', function() {
+      listWebhooks([createWebhook('prod-1', 'Hook', 'https://prod.example.com/hook')]);
+      return run({sync: true}).then(function(report) {
+        calls.should.eql(['register ' + URL + '/hook']);
+        report.created.length.should.equal(1);
+        report.deleted.should.be.empty();
+      });
+    });
+
+    it('replaces a webhook whose listed secret differs', function() {
+      listWebhooks([createWebhook('w1', 'Hook', URL + '/hook', {secret: 'old secret'})]);
+      return run({sync: true}).then(function(report) {
+        calls.should.eql(['register ' + URL + '/hook', 'delete w1']);
+        report.updated[0].changes.should.eql(['secret']);
+      });
+    });
+
+    it('only replaces a webhook whose secret is not listed with rotateSecret', function() {
+      listWebhooks([createWebhook('w1', 'Hook', URL + '/hook')]);
+      return run({sync: true}).then(function(report) {
+        calls.should.be.empty();
+        report.unchanged.length.should.equal(1);
+        return run({sync: true, rotateSecret: true});
+      }).then(function(report) {
+        calls.should.eql(['register ' + URL + '/hook', 'delete w1']);
+        report.updated[0].changes.should.eql(['secret']);
+      });
+    });
+  });
+
+  describe('with prune', function() {
+    beforeEach(function() {
+      listWebhooks([
+        createWebhook('w1', 'Hook', URL + '/hook'),
+        createWebhook('w2', 'Receipts: Unread', URL + '/unread'),
+        createWebhook('w3', 'Removed', URL + '/removed'),
+        createWebhook('prod-1', 'Removed', 'https://prod.example.com/removed')
+      ]);
+    });
+
+    it('deletes the webhooks under the url that were not given', function() {
+      return run({sync: true, prune: true}).then(function(report) {
+        calls.sort().should.eql(['delete w2', 'delete w3']);
+        report.deleted.map(function(entry) {
+          return entry.id;
+        }).sort().should.eql(['w2', 'w3']);
+      });
+    });
+
+    it('only deletes webhooks whose name starts with the prefix given', function() {
+      return run({sync: true, prune: 'Receipts: ', hooks: []}).then(function() {
+        calls.should.eql(['delete w2']);
+      });
+    });
+
+    it('does nothing without sync', function() {
+      return run({prune: true}).then(function() {
+        calls.should.be.empty();
+      });
+    });
+  });
+
+  describe('when hooks fail', function() {
+    beforeEach(function() {
+      listWebhooks([]);
+      client.failures.First = new Error('Layer is down');
+      client.failures.Second = {body: {message: 'Invalid url'}};
+    });
+
+    function runFailing(callback) {
+      return register(services, {
+        url: URL,
+        secret: 'Frodo is a Dodo',
+        hooks: [
+          {name: 'First', path: '/first', events: ['message.sent']},
+          {name: 'Second', path: '/second', events: ['message.sent']},
+          {name: 'Third', path: '/third', events: ['message.sent']}
+        ]
+      }, callback);
+    }
+
+    it('handles every hook, then rejects with the errors of each failed hook', function() {
+      return runFailing().then(function() {
+        throw new Error('Expected register to fail');
+      }, function(err) {
+        calls.length.should.equal(3);
+        err.message.should.equal('Failed to register webhooks: First (Layer is down), Second (Invalid url)');
+        err.errors.should.eql([
+          {name: 'First', error: client.failures.First},
+          {name: 'Second', error: client.failures.Second}
+        ]);
+        err.report.created.should.eql([{name: 'Third', id: 'new-3', url: URL + '/third'}]);
+        err.report.failed.length.should.equal(2);
+      });
+    });
+
+    it('calls the callback with the error', function(done) {
+      runFailing(function(err, report) {
+        err.errors.length.should.equal(2);
+        (report === undefined).should.be.true();
+        done();
+      }).catch(function() {});
+    });
+  });
+
+  describe('with dryRun', function() {
+    beforeEach(function() {
+      listWebhooks([
+        createWebhook('w1', 'Hook', URL + '/hook', {events: ['message.read']}),
+        createWebhook('w2', 'Inactive', URL + '/inactive', {status: 'inactive'}),
+        createWebhook('w3', 'Removed', URL + '/removed')
+      ]);
+    });
+
+    it('resolves with a plan of the changes, and makes none', function() {
+      return run({
+        sync: true,
+        prune: true,
+        dryRun: true,
+        hooks: [
+          {name: 'Hook', path: '/hook', events: ['message.sent']},
+          {name: 'Inactive', path: '/inactive', events: ['message.sent']},
+          {name: 'New', path: '/new', events: ['message.sent']}
+        ]
+      }).then(function(plan) {
+        calls.should.be.empty();
+        plan.register.should.eql([{name: 'New', id: null, url: URL + '/new'}]);
+        plan.update.should.eql([{name: 'Hook', id: 'w1', url: URL + '/hook', changes: ['events']}]);
+        plan.enable.should.eql([{name: 'Inactive', id: 'w2', url: URL + '/inactive'}]);
+        plan.delete.should.eql([{name: 'Removed', id: 'w3', url: URL + '/removed'}]);
+        plan.leave.should.be.empty();
+      });
+    });
+
+    it('describes the plan in a table', function() {
+      return run({sync: true, dryRun: true}).then(function(plan) {
+        var lines = plan.table.split('\n');
+        lines.length.should.equal(2);
+        lines[0].should.match(/^ACTION\s+NAME\s+URL\s+DETAILS$/);
+        lines[1].should.match(/^update\s+Hook\s+https:\/\/staging\.example\.com\/hook\s+changed: events$/);
+      });
+    });
+  });
+});
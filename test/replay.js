@@ -0,0 +1,114 @@
+require('should');
+var replay = require('../src/replay');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Replaying failed jobs', function() {
+  var hook = {
+    name: 'Monitor',
+    path: '/monitor',
+    attempts: 2,
+    backoff: {type: 'fixed', delay: 5},
+    timeout: '1s'
+  };
+  var services, app, failing, processed;
+
+  beforeEach(function() {
+    services = createServices();
+    app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+    failing = true;
+    processed = [];
+    services.queue.process('Monitor', function(job, done) {
+      if (failing) return done(new Error('Unable to reach the CRM'));
+      processed.push(job);
+      done();
+    });
+  });
+
+  // Post events whose jobs will fail all of their attempts
+  function postFailing(payloads) {
+    return Promise.all(payloads.map(function(payload) {
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo');
+    })).then(function() {
+      return wait(50);
+    }).then(function() {
+      failing = false;
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  function countJobs(type, state) {
+    return new Promise(function(resolve) {
+      services.queue.getJobs(type, state, function(err, jobs) {
+        resolve(jobs.length);
+      });
+    });
+  }
+
+  it('creates a new job for each failed job, and removes the failed and dead-letter jobs', function() {
+    var payload = testing.createPayload('message.sent');
+    return postFailing([payload]).then(function() {
+      return replay(services, {hook: 'Monitor'});
+    }).then(function(report) {
+      report.should.eql({found: 1, replayed: 1, errors: []});
+      return wait(20);
+    }).then(function() {
+      processed.length.should.equal(1);
+      processed[0].data.eventId.should.equal(payload.event.id);
+      return Promise.all([countJobs('Monitor', 'failed'), countJobs('Monitor:dead', 'inactive')]);
+    }).then(function(counts) {
+      counts.should.eql([0, 0]);
+    });
+  });
+
+  it('retries the new jobs as the hook does', function() {
+    return postFailing([testing.createPayload('message.sent')]).then(function() {
+      return replay(services, {hook: 'Monitor'});
+    }).then(function() {
+      return wait(20);
+    }).then(function() {
+      processed[0].maxAttempts.should.equal(2);
+      processed[0].backoffOptions.should.eql({type: 'fixed', delay: 5});
+      processed[0].ttlMs.should.equal(1000);
+    });
+  });
+
+  it('only replays jobs for the eventTypes given', function() {
+    var payloads = [testing.createPayload('message.sent'), testing.createPayload('message.read')];
+    return postFailing(payloads).then(function() {
+      return replay(services, {hook: 'Monitor', eventTypes: ['message.read']});
+    }).then(function(report) {
+      report.replayed.should.equal(1);
+      return wait(20);
+    }).then(function() {
+      processed[0].data.eventId.should.equal(payloads[1].event.id);
+      return countJobs('Monitor', 'failed');
+    }).then(function(count) {
+      count.should.equal(1);
+    });
+  });
+
+  it('only replays jobs that failed since the time given', function() {
+    return postFailing([testing.createPayload('message.sent')]).then(function() {
+      return replay(services, {hook: 'Monitor', since: new Date(Date.now() + 1000)});
+    }).then(function(report) {
+      report.should.eql({found: 0, replayed: 0, errors: []});
+    });
+  });
+
+  it('calls the callback with the report', function(done) {
+    postFailing([testing.createPayload('message.sent')]).then(function() {
+      replay(services, {hook: 'Monitor'}, function(err, report) {
+        (err === null).should.be.true();
+        report.replayed.should.equal(1);
+        done();
+      });
+    });
+  });
+});
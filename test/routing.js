@@ -0,0 +1,80 @@
+require('should');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Routing events', function() {
+  var services, app, handled;
+  var hook = {
+    name: 'Bot',
+    path: '/bot',
+    on: {
+      'message.sent': true,
+      'conversation.created': 'New Conversations',
+      'conversation.deleted': function(event) {
+        handled.push(event);
+        return Promise.resolve();
+      }
+    }
+  };
+
+  beforeEach(function() {
+    services = createServices();
+    handled = [];
+    app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+  });
+
+  it('creates jobs named after the hook and event type for routes that are true', function() {
+    var jobs = testing.recordJobs(services.queue, 'Bot:message.sent');
+    var payload = testing.createPayload('message.sent', {text: 'Hi'});
+    return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+      res.status.should.equal(200);
+      return jobs.next();
+    }).then(function(data) {
+      data.type.should.equal('message.sent');
+      data.message.parts[0].body.should.equal('Hi');
+    });
+  });
+
+  it('creates jobs with the name given by the route', function() {
+    var jobs = testing.recordJobs(services.queue, 'New Conversations');
+    var payload = testing.createPayload('conversation.created', {participants: ['frodo', 'sam', 'merry']});
+    return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function() {
+      return jobs.next();
+    }).then(function(data) {
+      data.type.should.equal('conversation.created');
+      data.conversation.participants.should.eql(['frodo', 'sam', 'merry']);
+    });
+  });
+
+  it('calls the handler of the route instead of creating a job in the queue', function() {
+    var jobs = testing.recordJobs(services.queue, 'Bot:conversation.deleted');
+    var payload = testing.createPayload('conversation.deleted');
+    return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function() {
+      return createServices.expectNoJob(jobs);
+    }).then(function() {
+      handled.length.should.equal(1);
+      handled[0].conversation.id.should.equal(payload.conversation.id);
+    });
+  });
+
+  it('ignores event types without a route', function() {
+    var jobs = [
+      testing.recordJobs(services.queue, 'Bot'),
+      testing.recordJobs(services.queue, 'Bot:message.read')
+    ];
+    var payload = testing.createPayload('message.read');
+    return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+      res.status.should.equal(200);
+      return Promise.all(jobs.map(function(recorder) {
+        return createServices.expectNoJob(recorder);
+      }));
+    });
+  });
+
+  it('records the job type and queue of each route', function() {
+    services.hookJobs.Bot.jobs.map(function(job) {
+      return job.type + (job.queue === services.handlerQueue ? ' (handler)' : '');
+    }).sort().should.eql(['Bot:conversation.deleted (handler)', 'Bot:message.sent', 'New Conversations']);
+  });
+});
@@ -0,0 +1,75 @@
+require('should');
+var createSenderPolicy = require('../src/sender-policy');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Sender policies', function() {
+  var conversation = testing.createConversation();
+
+  function fromBot(name, conversationOverride) {
+    return testing.createMessage({sender: {name: name}, conversation: conversationOverride || conversation});
+  }
+
+  it('accepts Messages from users, and ignores Platform API Messages by default', function() {
+    var isAllowed = createSenderPolicy(undefined, function() {});
+    isAllowed(testing.createMessage({sender: 'frodo'})).should.be.true();
+    isAllowed(fromBot('Billing')).should.be.false();
+  });
+
+  it('accepts Platform API Messages from senders that are allowed', function() {
+    var isAllowed = createSenderPolicy({allow: ['Billing']}, function() {});
+    isAllowed(fromBot('Billing')).should.be.true();
+    isAllowed(fromBot('Die-bot')).should.be.false();
+  });
+
+  it('accepts Platform API Messages from any sender that is not denied with includePlatformMessages', function() {
+    var isAllowed = createSenderPolicy({includePlatformMessages: true, deny: ['Die-bot']}, function() {});
+    isAllowed(fromBot('Billing')).should.be.true();
+    isAllowed(fromBot('Die-bot')).should.be.false();
+    isAllowed(testing.createMessage({sender: 'frodo'})).should.be.true();
+  });
+
+  it('ignores Platform API Messages in a Conversation once they exceed the rate limit', function() {
+    var limited = [];
+    var isAllowed = createSenderPolicy({includePlatformMessages: true, rateLimit: {max: 2, window: '1m'}}, function(conversationId, count) {
+      limited.push([conversationId, count]);
+    });
+    isAllowed(fromBot('Billing')).should.be.true();
+    isAllowed(fromBot('Billing')).should.be.true();
+    isAllowed(fromBot('Billing')).should.be.false();
+    limited.should.eql([[conversation.id, 3]]);
+
+    // Other Conversations and users are not limited
+    isAllowed(fromBot('Billing', testing.createConversation())).should.be.true();
+    isAllowed(testing.createMessage({sender: 'frodo', conversation: conversation})).should.be.true();
+  });
+
+  it('accepts Platform API Messages again once the window has passed', function() {
+    var isAllowed = createSenderPolicy({includePlatformMessages: true, rateLimit: {max: 1, window: 30}}, function() {});
+    isAllowed(fromBot('Billing')).should.be.true();
+    isAllowed(fromBot('Billing')).should.be.false();
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 40);
+    }).then(function() {
+      isAllowed(fromBot('Billing')).should.be.true();
+    });
+  });
+
+  it('decides which Messages create jobs for a hook', function() {
+    var services = createServices();
+    var jobs = testing.recordJobs(services.queue, 'Bot');
+    var hook = {name: 'Bot', path: '/bot', senderPolicy: {allow: ['Billing']}};
+    var app = createHttpHandler(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+    var allowed = testing.createPayload('message.sent', {message: fromBot('Billing')});
+    var ignored = testing.createPayload('message.sent', {message: fromBot('Die-bot')});
+    return testing.post(app, hook.path, ignored, 'Frodo is a Dodo').then(function() {
+      return testing.post(app, hook.path, allowed, 'Frodo is a Dodo');
+    }).then(function() {
+      return jobs.next();
+    }).then(function(data) {
+      data.eventId.should.equal(allowed.event.id);
+      return createServices.expectNoJob(jobs);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+require('should');
+var serve = require('../src/serve');
+
+describe('serve', function() {
+  describe('getKueRedisOptions', function() {
+    it('passes a Redis url on to Kue', function() {
+      serve.getKueRedisOptions('redis://localhost:6379').should.equal('redis://localhost:6379');
+      (serve.getKueRedisOptions(undefined) === undefined).should.be.true();
+    });
+
+    it('has Kue connect through duplicates of a Redis client', function() {
+      var duplicates = 0;
+      var client = {
+        duplicate: function() {
+          duplicates++;
+          return {id: duplicates};
+        }
+      };
+      var options = serve.getKueRedisOptions(client);
+      options.createClientFactory().should.eql({id: 1});
+      options.createClientFactory().should.eql({id: 2});
+    });
+  });
+
+  it('rejects a Redis client that can not be duplicated before connecting to anything', function() {
+    (function() {
+      serve({redis: {}});
+    }).should.throw(/^config.redis must be a Redis url, or a Redis client with a duplicate\(\) method/);
+  });
+});
@@ -0,0 +1,103 @@
+require('should');
+var verifySignature = require('../src/signature');
+var createHttpHandler = require('../src/http');
+var testing = require('../src/testing');
+var createServices = require('./support/services');
+
+describe('Signature verification', function() {
+  var payload = testing.createPayload('message.sent');
+  var body = JSON.stringify(payload);
+
+  describe('verifySignature', function() {
+    it('accepts a signature made with the secret', function() {
+      verifySignature(body, 'Frodo is a Dodo', testing.sign(body, 'Frodo is a Dodo').signature).should.be.true();
+    });
+
+    it('accepts a signature made with any of the secrets', function() {
+      var signature = testing.sign(body, 'old secret').signature;
+      verifySignature(body, ['new secret', 'old secret'], signature).should.be.true();
+    });
+
+    it('rejects a signature made with another secret', function() {
+      verifySignature(body, 'Frodo is a Dodo', testing.sign(body, 'Sam is a Dodo').signature).should.be.false();
+    });
+
+    it('rejects a signature of another body', function() {
+      verifySignature(body + ' ', 'Frodo is a Dodo', testing.sign(body, 'Frodo is a Dodo').signature).should.be.false();
+    });
+
+    it('rejects missing and truncated signatures', function() {
+      var signature = testing.sign(body, 'Frodo is a Dodo').signature;
+      verifySignature(body, 'Frodo is a Dodo', undefined).should.be.false();
+      verifySignature(body, 'Frodo is a Dodo', signature.substr(1)).should.be.false();
+    });
+  });
+
+  describe('webhook requests', function() {
+    var hook = {name: 'Message Monitor', path: '/message-monitor'};
+    var services, jobs;
+
+    function createApp(options) {
+      options.hooks = [hook];
+      return createHttpHandler(services, options);
+    }
+
+    beforeEach(function() {
+      services = createServices();
+      jobs = testing.recordJobs(services.queue, hook.name);
+    });
+
+    it('creates a job for a signed request', function() {
+      var app = createApp({secret: 'Frodo is a Dodo'});
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      }).then(function(data) {
+        data.eventId.should.equal(payload.event.id);
+        data.message.id.should.equal(payload.message.id);
+      });
+    });
+
+    it('accepts requests signed with an old secret while the secret is changed', function() {
+      var app = createApp({secret: ['new secret', 'Frodo is a Dodo']});
+      return testing.post(app, hook.path, payload, 'Frodo is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      });
+    });
+
+    it('rejects a request signed with another secret', function() {
+      var app = createApp({secret: 'Frodo is a Dodo'});
+      return testing.post(app, hook.path, payload, 'Sam is a Dodo').then(function(res) {
+        res.status.should.equal(403);
+        return createServices.expectNoJob(jobs);
+      });
+    });
+
+    it('rejects an unsigned request', function() {
+      var app = createApp({secret: 'Frodo is a Dodo'});
+      return testing.post(app, hook.path, payload).then(function(res) {
+        res.status.should.equal(403);
+        return createServices.expectNoJob(jobs);
+      });
+    });
+
+    it('accepts an unsigned request with allowUnsigned', function() {
+      var app = createApp({secret: 'Frodo is a Dodo', allowUnsigned: true});
+      return testing.post(app, hook.path, payload).then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      });
+    });
+
+    it('accepts an unsigned request for an event in allowUnsignedEventIds', function() {
+      var app = createApp({secret: 'Frodo is a Dodo', allowUnsignedEventIds: [payload.event.id]});
+      return testing.post(app, hook.path, payload, 'Sam is a Dodo').then(function(res) {
+        res.status.should.equal(200);
+        return jobs.next();
+      }).then(function(data) {
+        data.eventId.should.equal(payload.event.id);
+      });
+    });
+  });
+});
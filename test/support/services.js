@@ -0,0 +1,77 @@
+/**
+ * Create the services shared by the WebhooksServices, as the WebhooksServices constructor does, but without
+ * Layer's clients, Kue or Redis, so that the modules under test can be called directly:
+ *
+ *     var services = createServices({redis: new createServices.FakeRedis()});
+ *     var handler = require('../src/http')(services, {secret: 'Frodo is a Dodo', hooks: [hook]});
+ *
+ * @param {Object} [overrides] - Services to use instead of the defaults
+ * @returns {Object}
+ */
+var MemoryQueue = require('../../src/queues/memory');
+var MemoryStore = require('../../src/stores/memory');
+var Metrics = require('../../src/metrics');
+var Logger = require('../../src/logger');
+
+// Keep warnings about rejected requests out of the test output
+var silentLogger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop
+};
+
+module.exports = function(overrides) {
+  var services = {
+    queue: new MemoryQueue(),
+    handlerQueue: new MemoryQueue(),
+    redis: null,
+    receiptsStore: new MemoryStore(),
+    metrics: new Metrics(),
+    logger: new Logger(silentLogger),
+    hookJobs: {},
+    closing: null
+  };
+  Object.keys(overrides || {}).forEach(function(key) {
+    services[key] = overrides[key];
+  });
+  return services;
+};
+
+/**
+ * Redis client with only the `set` command used by dedupe.js; keys are kept in memory and never expire.
+ *
+ * @class
+ */
+function FakeRedis() {
+  this.keys = {};
+}
+
+FakeRedis.prototype.set = function() {
+  var args = Array.prototype.slice.call(arguments);
+  var callback = args.pop();
+  var key = args[0];
+  if (args.indexOf('NX') !== -1 && key in this.keys) return setImmediate(callback, null, null);
+  this.keys[key] = String(args[1]);
+  setImmediate(callback, null, 'OK');
+};
+
+/**
+ * Expect a job recorder to receive no further jobs.
+ *
+ * @param {Object} recorder - Created by testing.recordJobs()
+ * @param {Number} [timeout=100] - How long to wait for a job
+ * @returns {Promise}
+ */
+function expectNoJob(recorder, timeout) {
+  return recorder.next(timeout || 100).then(function(data) {
+    throw new Error('Expected no job, but got ' + JSON.stringify(data));
+  }, function(err) {
+    if (!/^Timed out/.test(err.message)) throw err;
+  });
+}
+
+function noop() {}
+
+module.exports.FakeRedis = FakeRedis;
+module.exports.expectNoJob = expectNoJob;
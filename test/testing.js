@@ -0,0 +1,100 @@
+require('should');
+var crypto = require('crypto');
+var testing = require('../src/testing');
+var MemoryQueue = require('../src/queues/memory');
+
+describe('Testing tools', function() {
+  describe('createPayload', function() {
+    it('creates a Message event with a status for each participant', function() {
+      var payload = testing.createPayload('message.delivered', {sender: 'frodo', participants: ['frodo', 'sam'], text: 'Hi'});
+      payload.event.type.should.equal('message.delivered');
+      payload.message.sender.user_id.should.equal('frodo');
+      payload.message.parts[0].should.containEql({mime_type: 'text/plain', body: 'Hi'});
+      payload.message.recipient_status.should.eql({frodo: 'read', sam: 'delivered'});
+      payload.message.url.should.containEql('/apps/' + testing.APP_ID + '/messages/');
+    });
+
+    it('creates a Conversation event', function() {
+      var payload = testing.createPayload('conversation.created', {participants: ['frodo', 'sam', 'merry'], metadata: {title: 'Shire'}});
+      payload.conversation.participants.should.eql(['frodo', 'sam', 'merry']);
+      payload.conversation.metadata.should.eql({title: 'Shire'});
+      payload.conversation.messages_url.should.equal(payload.conversation.url + '/messages');
+      payload.should.not.have.property('message');
+    });
+
+    it('uses the Message or Conversation provided', function() {
+      var message = testing.createMessage();
+      testing.createPayload('message.read', {message: message}).message.should.equal(message);
+    });
+
+    it('rejects unknown event types', function() {
+      (function() {
+        testing.createPayload('message.edited');
+      }).should.throw('Unknown event type: message.edited');
+    });
+  });
+
+  describe('createMessage', function() {
+    it('gives a Message with the id given a Conversation with another id', function() {
+      var message = testing.createMessage({id: 'layer:///messages/940de862-3c96-11e4-baad-164230d1df67'});
+      message.id.should.equal('layer:///messages/940de862-3c96-11e4-baad-164230d1df67');
+      message.conversation.id.should.not.containEql('940de862-3c96-11e4-baad-164230d1df67');
+    });
+  });
+
+  describe('sign', function() {
+    it('signs the body with an HMAC SHA1 digest of the secret', function() {
+      var signed = testing.sign({a: 1}, 'Frodo is a Dodo');
+      signed.body.should.equal('{"a":1}');
+      signed.signature.should.equal(crypto.createHmac('sha1', 'Frodo is a Dodo').update('{"a":1}').digest('hex'));
+    });
+  });
+
+  describe('post', function() {
+    it('posts the signed body to the app', function() {
+      var received;
+      var app = function(req, res) {
+        var body = '';
+        req.on('data', function(chunk) {
+          body += chunk;
+        });
+        req.on('end', function() {
+          received = {path: req.url, headers: req.headers, body: body};
+          res.end('ok');
+        });
+      };
+      return testing.post(app, 'hook', {a: 1}, 'Frodo is a Dodo').then(function(res) {
+        res.should.eql({status: 200, body: 'ok'});
+        received.path.should.equal('/hook');
+        received.body.should.equal('{"a":1}');
+        received.headers['content-type'].should.equal('application/vnd.layer.webhooks+json');
+        received.headers['layer-webhook-signature'].should.equal(testing.sign({a: 1}, 'Frodo is a Dodo').signature);
+      });
+    });
+  });
+
+  describe('recordJobs', function() {
+    it('resolves with the data of each job in turn', function() {
+      var queue = new MemoryQueue();
+      var jobs = testing.recordJobs(queue, 'Monitor');
+      queue.createJob('Monitor', {n: 1}).save();
+      queue.createJob('Monitor', {n: 2}).save();
+      return jobs.next().then(function(data) {
+        data.should.eql({n: 1});
+        return jobs.next();
+      }).then(function(data) {
+        data.should.eql({n: 2});
+        jobs.jobs.length.should.equal(2);
+      });
+    });
+
+    it('rejects if no job arrives in time', function() {
+      var jobs = testing.recordJobs(new MemoryQueue(), 'Monitor');
+      return jobs.next(20).then(function() {
+        throw new Error('Expected no job');
+      }, function(err) {
+        err.message.should.equal('Timed out waiting for a Monitor job');
+      });
+    });
+  });
+});